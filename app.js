@@ -3,29 +3,40 @@
  */
 
 import { createApp } from './core/src/framework.js';
-import { registerModule, initializeModules } from './core/src/modules.js';
-
-// Import modules
-import loggerModule from './packages/logger/dist/index.js';
-import usersModule from './packages/users/dist/index.js';
-import productsModule from './packages/products/dist/index.js';
+import { discoverModules, initializeModules, enableGracefulShutdown } from './core/src/modules.js';
+import { loadConfig, formatConfigSources } from './core/src/config.js';
+import { createLogger, getDefaultLogger, setDefaultLogger } from './core/src/logger.js';
 
 async function startApp() {
   try {
+    // Load configuration
+    const { config, sources } = await loadConfig();
+
+    // Route all core and module logging through one logger
+    const logger = createLogger({ level: config.logLevel, format: config.logFormat });
+    setDefaultLogger(logger);
+
+    if (config.debug) {
+      // APP_DEBUG=true turns on debug logging unless the level is already lower
+      if (!logger.isLevelEnabled('debug')) {
+        logger.setLevel('debug');
+      }
+
+      logger.debug(`Configuration sources:\n${formatConfigSources(sources)}`);
+    }
+
     // Create application
-    const app = await createApp();
+    const app = await createApp({ framework: config.framework });
 
-    // Register modules
-    registerModule('logger', loggerModule);
-    registerModule('users', usersModule);
-    registerModule('products', productsModule);
+    // Register every module found in the modules directory (MODULES_DIR)
+    await discoverModules({ dir: config.modulesDir, env: config.env });
 
     // Initialize all modules
-    const context = await initializeModules(app);
+    const context = await initializeModules(app, config, { versioning: config.versioning });
 
     // Add error handler
     app.use((err, req, res, next) => {
-      console.error('Application error:', err);
+      context.logger.error('Application error', err);
       res.status(500).json({
         error: 'Internal Server Error',
         message: process.env.NODE_ENV === 'production' ? undefined : err.message
@@ -38,10 +49,10 @@ async function startApp() {
     });
 
     // Start server
-    const port = process.env.PORT || 3000;
-    app.listen(port, () => {
-      console.log(`Server running on port ${port}`);
-      console.log(`Try these endpoints:
+    const port = config.port;
+    const server = app.listen(port, () => {
+      logger.info(`Server running on port ${port}`);
+      logger.info(`Try these endpoints:
 - GET http://localhost:${port}/api/users
 - GET http://localhost:${port}/api/users/1
 - POST http://localhost:${port}/api/users (with JSON body: {"name": "New User", "email": "user@example.com"})
@@ -49,8 +60,11 @@ async function startApp() {
 - DELETE http://localhost:${port}/api/users/2
       `);
     });
+
+    // Drain requests and shut modules down on SIGTERM/SIGINT
+    enableGracefulShutdown(server);
   } catch (error) {
-    console.error('Failed to start application:', error);
+    getDefaultLogger().fatal('Failed to start application', error);
     process.exit(1);
   }
 }
@@ -0,0 +1,380 @@
+/**
+ * Framework conformance checks
+ *
+ * Runs the same Express-style handlers against an app created by
+ * createApp() and checks the HTTP responses, so every framework adapter
+ * behaves like Express for the features modules rely on: status and
+ * headers, middleware chains, redirects, cookies, streaming, body parsing,
+ * request validation and errors reaching the shared error handler.
+ *
+ *   const report = await runFrameworkConformance('fastify');
+ *   // { framework: 'fastify', passed: true, results: [{ name, passed }] }
+ *
+ * Run `npm test` to check every registered adapter.
+ */
+
+import assert from 'assert';
+import { Readable } from 'stream';
+import { createApp, createHandler } from '../src/framework.js';
+import { validateRequest } from '../src/validation.js';
+
+// Each case registers routes on the app and checks the response to its request
+const CONFORMANCE_CASES = [
+  {
+    name: 'json responses with a status',
+    register(app) {
+      app.get('/json', (req, res) => res.status(201).json({ ok: true }));
+    },
+    request: { path: '/json' },
+    async check(response) {
+      assert.equal(response.status, 201);
+      assert.match(response.headers.get('content-type'), /^application\/json/);
+      assert.deepEqual(await response.json(), { ok: true });
+    }
+  },
+  {
+    name: 'text responses',
+    register(app) {
+      app.get('/text', (req, res) => res.send('hello'));
+    },
+    request: { path: '/text' },
+    async check(response) {
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/html/);
+      assert.equal(await response.text(), 'hello');
+    }
+  },
+  {
+    name: 'request and response headers',
+    register(app) {
+      app.get('/headers', (req, res) => {
+        res.set('X-One', '1').set({ 'X-Two': '2' });
+        res.append('X-List', 'a');
+        res.append('X-List', 'b');
+        res.json({ received: req.get('X-Custom'), one: res.get('X-One') });
+      });
+    },
+    request: { path: '/headers', headers: { 'X-Custom': 'value' } },
+    async check(response) {
+      assert.equal(response.headers.get('x-one'), '1');
+      assert.equal(response.headers.get('x-two'), '2');
+      assert.equal(response.headers.get('x-list'), 'a, b');
+      assert.deepEqual(await response.json(), { received: 'value', one: '1' });
+    }
+  },
+  {
+    name: 'headersSent',
+    register(app, state) {
+      app.get('/headers-sent', (req, res) => {
+        const before = res.headersSent;
+        res.json({ before });
+        state.headersSentAfter = res.headersSent;
+      });
+    },
+    request: { path: '/headers-sent' },
+    async check(response, state) {
+      assert.deepEqual(await response.json(), { before: false });
+      assert.equal(state.headersSentAfter, true);
+    }
+  },
+  {
+    name: 'route middleware chains',
+    register(app) {
+      app.get('/chain',
+        (req, res, next) => {
+          req.trail = ['first'];
+          next();
+        },
+        async (req, res, next) => {
+          await new Promise(resolve => setTimeout(resolve, 1));
+          req.trail.push('second');
+          next();
+        },
+        (req, res) => res.json({ trail: req.trail }));
+    },
+    request: { path: '/chain' },
+    async check(response) {
+      assert.deepEqual(await response.json(), { trail: ['first', 'second'] });
+    }
+  },
+  {
+    name: 'middleware responding early',
+    register(app) {
+      app.get('/guarded',
+        (req, res) => res.status(401).json({ error: 'Unauthorized' }),
+        (req, res) => res.json({ reached: true }));
+    },
+    request: { path: '/guarded' },
+    async check(response) {
+      assert.equal(response.status, 401);
+      assert.deepEqual(await response.json(), { error: 'Unauthorized' });
+    }
+  },
+  {
+    name: 'route parameters and query strings',
+    register(app) {
+      app.get('/items/:id', (req, res) => res.json({ id: req.params.id, sort: req.query.sort, path: req.path }));
+    },
+    request: { path: '/items/7?sort=asc' },
+    async check(response) {
+      assert.deepEqual(await response.json(), { id: '7', sort: 'asc', path: '/items/7' });
+    }
+  },
+  {
+    name: 'JSON bodies',
+    register(app) {
+      app.post('/body', (req, res) => res.json({ body: req.body }));
+    },
+    request: { method: 'POST', path: '/body', headers: { 'Content-Type': 'application/json' }, body: '{"name":"a","tags":[1,2]}' },
+    async check(response) {
+      assert.deepEqual(await response.json(), { body: { name: 'a', tags: [1, 2] } });
+    }
+  },
+  {
+    name: 'URL-encoded bodies',
+    register(app) {
+      app.post('/form', (req, res) => res.json({ body: req.body }));
+    },
+    request: { method: 'POST', path: '/form', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'a=1&b=two' },
+    async check(response) {
+      assert.deepEqual(await response.json(), { body: { a: '1', b: 'two' } });
+    }
+  },
+  {
+    name: 'request validation',
+    register(app) {
+      app.post('/validated/:id', validateRequest({
+        params: { type: 'object', properties: { id: { type: 'integer' } } },
+        body: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string', minLength: 2 }, tags: { type: 'array', default: [] } }
+        },
+        query: { type: 'object', properties: { page: { type: 'integer' } } }
+      }), (req, res) => res.json({ id: req.params.id, body: req.body, page: req.query.page }));
+    },
+    request: { method: 'POST', path: '/validated/7?page=2', headers: { 'Content-Type': 'application/json' }, body: '{"name":"ab"}' },
+    async check(response, state, send) {
+      assert.deepEqual(await response.json(), { id: 7, body: { name: 'ab', tags: [] }, page: 2 });
+
+      const invalid = await send({ method: 'POST', path: '/validated/7?page=x', headers: { 'Content-Type': 'application/json' }, body: '{"name":"a"}' });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(await invalid.json(), {
+        error: 'Bad Request',
+        message: 'Request validation failed',
+        errors: [
+          { location: 'body', path: '/name', message: 'must NOT have fewer than 2 characters', keyword: 'minLength' },
+          { location: 'query', path: '/page', message: 'must be integer', keyword: 'type' }
+        ]
+      });
+    }
+  },
+  {
+    name: 'redirects',
+    register(app) {
+      app.get('/redirect', (req, res) => res.redirect('/target'));
+      app.get('/moved', (req, res) => res.redirect(301, '/new'));
+    },
+    request: { path: '/redirect' },
+    async check(response, state, send) {
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.get('location'), '/target');
+
+      const moved = await send({ path: '/moved' });
+      assert.equal(moved.status, 301);
+      assert.equal(moved.headers.get('location'), '/new');
+    }
+  },
+  {
+    name: 'cookies',
+    register(app) {
+      app.get('/cookies', (req, res) => {
+        res.cookie('session', 'abc', { httpOnly: true, maxAge: 60000 });
+        res.cookie('theme', 'dark');
+        res.clearCookie('old');
+        res.end();
+      });
+    },
+    request: { path: '/cookies' },
+    async check(response) {
+      const [session, theme, old] = response.headers.getSetCookie();
+      assert.match(session, /^session=abc; Max-Age=60; Path=\/; Expires=.+; HttpOnly$/);
+      assert.equal(theme, 'theme=dark; Path=/');
+      assert.equal(old, 'old=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT');
+    }
+  },
+  {
+    name: 'empty responses',
+    register(app) {
+      app.delete('/empty', (req, res) => res.status(204).end());
+      app.get('/status', (req, res) => res.sendStatus(404));
+    },
+    request: { method: 'DELETE', path: '/empty' },
+    async check(response, state, send) {
+      assert.equal(response.status, 204);
+      assert.equal(await response.text(), '');
+
+      const status = await send({ path: '/status' });
+      assert.equal(status.status, 404);
+      assert.equal(await status.text(), 'Not Found');
+    }
+  },
+  {
+    name: 'piped streams',
+    register(app) {
+      app.get('/stream', (req, res) => {
+        res.type('text');
+        Readable.from(['a', 'b', 'c']).pipe(res);
+      });
+    },
+    request: { path: '/stream' },
+    async check(response) {
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      assert.equal(await response.text(), 'abc');
+    }
+  },
+  {
+    name: 'writes',
+    register(app) {
+      app.get('/write', (req, res) => {
+        res.status(202).set('X-Streamed', 'yes');
+        res.write('one,');
+        res.end('two');
+      });
+    },
+    request: { path: '/write' },
+    async check(response) {
+      assert.equal(response.status, 202);
+      assert.equal(response.headers.get('x-streamed'), 'yes');
+      assert.equal(await response.text(), 'one,two');
+    }
+  },
+  {
+    name: 'errors passed to next',
+    register(app) {
+      app.get('/next-error', createHandler(async () => {
+        const error = new Error('Not here');
+        error.statusCode = 418;
+        throw error;
+      }));
+    },
+    request: { path: '/next-error' },
+    async check(response) {
+      assert.equal(response.status, 418);
+      assert.deepEqual(await response.json(), { error: 'Not here', handledBy: ['annotate', 'respond'] });
+    }
+  },
+  {
+    name: 'errors thrown by handlers',
+    register(app) {
+      app.get('/thrown', () => {
+        throw new Error('Thrown');
+      });
+    },
+    request: { path: '/thrown' },
+    async check(response) {
+      assert.equal(response.status, 500);
+      assert.deepEqual(await response.json(), { error: 'Thrown', handledBy: ['annotate', 'respond'] });
+    }
+  },
+  {
+    name: 'middleware after the routes',
+    register() {},
+    request: { path: '/missing' },
+    async check(response) {
+      assert.equal(response.status, 404);
+      assert.deepEqual(await response.json(), { notFound: '/missing' });
+    }
+  },
+  {
+    name: 'next() after the last handler',
+    register(app) {
+      app.get('/fall-through', (req, res, next) => next());
+    },
+    request: { path: '/fall-through' },
+    async check(response) {
+      assert.deepEqual(await response.json(), { notFound: '/fall-through' });
+    }
+  }
+];
+
+/**
+ * Check that an app created by createApp() behaves like Express
+ *
+ * @param {string} framework - Framework passed to createApp()
+ * @param {object} options - Extra createApp() options
+ * @returns {Promise<object>} Report with framework, passed and the result of each case
+ */
+export async function runFrameworkConformance(framework, options = {}) {
+  const app = await createApp({ metrics: false, logger: false, ...options, framework });
+  const state = {};
+
+  for (const conformanceCase of CONFORMANCE_CASES) {
+    conformanceCase.register(app, state);
+  }
+
+  // Catch-all for requests no route handled
+  app.use((req, res) => res.status(404).json({ notFound: req.path }));
+
+  // Shared error handlers, the first passing the error on to the second
+  app.use((err, req, res, next) => {
+    err.handledBy = ['annotate'];
+    next(err);
+  });
+
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ error: err.message, handledBy: [...err.handledBy, 'respond'] });
+  });
+
+  const server = await listen(app);
+  const { port } = server.address();
+
+  const send = ({ method = 'GET', path, headers, body }) => fetch(`http://localhost:${port}${path}`, {
+    method,
+    headers,
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(5000)
+  });
+
+  const results = [];
+
+  try {
+    for (const conformanceCase of CONFORMANCE_CASES) {
+      try {
+        await conformanceCase.check(await send(conformanceCase.request), state, send);
+        results.push({ name: conformanceCase.name, passed: true });
+      } catch (error) {
+        results.push({ name: conformanceCase.name, passed: false, error: error.message });
+      }
+    }
+  } finally {
+    await app.close();
+  }
+
+  return {
+    framework,
+    passed: results.every(result => result.passed),
+    results
+  };
+}
+
+/**
+ * Start an app on a free port
+ *
+ * @param {object} app - Application instance
+ * @returns {Promise<object>} The listening HTTP server
+ * @private
+ */
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0);
+    server.once('error', reject);
+
+    if (server.listening) {
+      resolve(server);
+    } else {
+      server.once('listening', () => resolve(server));
+    }
+  });
+}
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool for checking framework adapters against Express behaviour
+ *
+ * Usage: node core/cli/conformance.js [framework...]
+ * Run by `npm test` for every registered adapter.
+ */
+
+import { runFrameworkConformance } from './conformance-cases.js';
+import { getFrameworkAdapters } from '../src/framework.js';
+
+// Check every registered adapter unless frameworks are named
+const frameworks = process.argv.length > 2 ? process.argv.slice(2) : getFrameworkAdapters();
+let failed = false;
+
+for (const framework of frameworks) {
+  const report = await runFrameworkConformance(framework);
+  console.log(`${framework}:`);
+
+  for (const result of report.results) {
+    console.log(`  ${result.passed ? '✓' : '✗'} ${result.name}${result.passed ? '' : ` - ${result.error}`}`);
+  }
+
+  failed = failed || !report.passed;
+}
+
+process.exit(failed ? 1 : 0);
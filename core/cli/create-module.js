@@ -47,6 +47,10 @@ const packageJson = {
   main: "dist/index.js",
   types: "dist/index.d.ts",
   type: "module",
+  modularSystem: {
+    entry: "dist/index.js",
+    enabled: true
+  },
   scripts: {
     build: "tsc",
     test: "jest"
@@ -99,9 +103,13 @@ const moduleContent = `/**
 interface ModuleDefinition {
   id: string;
   name: string;
-  dependencies?: string[];
+  version?: string;
+  dependencies?: string[] | Record<string, string>;
+  optionalDependencies?: string[] | Record<string, string>;
   initialize?: (context: any) => void | Promise<void>;
-  routes?: (app: any) => void;
+  prefix?: string;
+  middleware?: Array<(req: any, res: any, next: (error?: any) => void) => void>;
+  routes?: (router: any) => void;
   services?: Record<string, any>;
 }
 
@@ -109,20 +117,21 @@ interface ModuleDefinition {
 const ${camelCase}Module: ModuleDefinition = {
   id: '${kebabCase}',
   name: '${pascalCase} Module',
+  version: '${packageJson.version}',
 
   // Dependencies
-  dependencies: ['logger'],
+  dependencies: [],
 
   // Initialize function
   initialize(context) {
-    const logger = context.getService('logger');
-    logger.info('${pascalCase} module initialized');
+    // context.logger tags every entry with this module's id
+    context.logger.info('${pascalCase} module initialized');
   },
 
-  // Define routes
-  routes(app) {
-    app.get('/api/${kebabCase}', (req, res) => {
-      return { message: 'Hello from ${pascalCase} module!' };
+  // Define routes, mounted under /api/${kebabCase} unless prefix is set
+  routes(router) {
+    router.get('/', (req, res) => {
+      res.json({ message: 'Hello from ${pascalCase} module!' });
     });
   },
 
@@ -141,11 +150,7 @@ fs.writeFileSync(path.join(srcDir, 'index.ts'), moduleContent);
 
 console.log(`Module created successfully: ${kebabCase}`);
 console.log(`Directory: ${moduleDir}`);
-console.log('\nTo use this module:');
-console.log('\n1. Build the module:');
+console.log('\nTo use this module, build it:');
 console.log(`npm run build`);
-console.log('\n2. Add the following to app.js:');
-console.log(`
-import ${camelCase}Module from './packages/${kebabCase}/dist/index.js';
-registerModule('${kebabCase}', ${camelCase}Module);
-`);
+console.log('\nThe module is registered automatically by discoverModules() on startup.');
+console.log('Set "enabled" or "environments" under "modularSystem" in its package.json to control when it loads.');
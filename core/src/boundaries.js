@@ -0,0 +1,150 @@
+/**
+ * Service boundaries between modules
+ *
+ * Each module works with a scoped view of the application context in which
+ * only the services of its declared dependencies are reachable, and only
+ * the members those dependencies list in `exports`.
+ */
+
+import { getModuleDependencies } from './graph.js';
+import { getDefaultLogger } from './logger.js';
+
+const MODES = ['strict', 'warn', 'off'];
+
+/**
+ * Create the context a module receives in its lifecycle functions
+ *
+ * The scoped context inherits everything from the application context but
+ * replaces `getService` and `services` with boundary-checked versions.
+ *
+ * In 'strict' mode, accessing an undeclared module's services throws. In
+ * 'warn' mode the access is allowed but logged once per module pair. In
+ * 'off' mode every service is reachable, although `exports` still applies.
+ *
+ * @param {object} context - Application context
+ * @param {string} name - Name of the module the context is for
+ * @param {object} module - Module definition
+ * @param {object} options - Scope options
+ * @param {string} options.mode - Boundary mode: 'strict', 'warn' (default) or 'off'
+ * @param {Function} options.getExports - Returns the exports list of a module by name
+ * @param {object} options.logger - Logger for boundary warnings (default: the default logger)
+ * @returns {object} Scoped context
+ */
+export function createScopedContext(context, name, module, options = {}) {
+  const { mode = 'warn', getExports = () => undefined, logger = getDefaultLogger() } = options;
+  assertBoundaryMode(mode);
+
+  const allowed = new Set([name, ...getModuleDependencies(module).map(dep => dep.name)]);
+  const warned = new Set();
+
+  const canAccess = (target) => {
+    if (mode === 'off' || allowed.has(target)) {
+      return true;
+    }
+
+    const message = `Module "${name}" accessed services of "${target}", which is not a declared dependency`;
+
+    if (mode === 'strict') {
+      const error = new Error(message);
+      error.module = name;
+      throw error;
+    }
+
+    if (!warned.has(target)) {
+      warned.add(target);
+      logger.warn(message, { target });
+    }
+
+    return true;
+  };
+
+  const resolve = (target) => {
+    const services = context.services[target];
+
+    if (!services || target === name) {
+      return services;
+    }
+
+    return getPublicServices(services, getExports(target));
+  };
+
+  const services = new Proxy(context.services, {
+    get(target, key) {
+      if (typeof key !== 'string' || !(key in target)) {
+        return undefined;
+      }
+
+      canAccess(key);
+      return resolve(key);
+    }
+  });
+
+  const scoped = Object.create(context);
+  scoped.moduleName = name;
+  scoped.services = services;
+  scoped.getService = (moduleName, serviceName) => {
+    canAccess(moduleName);
+
+    const moduleServices = resolve(moduleName);
+    if (!moduleServices) {
+      return undefined;
+    }
+
+    return serviceName ? moduleServices[serviceName] : moduleServices;
+  };
+
+  return scoped;
+}
+
+/**
+ * Check that a service boundary mode is supported
+ *
+ * @param {string} mode - Boundary mode
+ * @returns {void}
+ * @throws {Error} If the mode is unknown
+ */
+export function assertBoundaryMode(mode) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown service boundary mode "${mode}". Use one of: ${MODES.join(', ')}`);
+  }
+}
+
+// Public views are cached per services object and exports list
+const publicViews = new WeakMap();
+
+/**
+ * Get the public view of a module's services
+ *
+ * Without an exports list every member is public. Otherwise the view only
+ * contains the listed members; functions stay bound to the original services
+ * object so they can still reach internal members through `this`.
+ *
+ * @param {object} services - The module's services
+ * @param {string[]} exportsList - Names of public members
+ * @returns {object} Public services
+ */
+export function getPublicServices(services, exportsList) {
+  if (!Array.isArray(exportsList)) {
+    return services;
+  }
+
+  const cached = publicViews.get(services);
+  if (cached && cached.exportsList === exportsList) {
+    return cached.view;
+  }
+
+  const view = {};
+  for (const key of exportsList) {
+    Object.defineProperty(view, key, {
+      enumerable: true,
+      get: () => {
+        const value = services[key];
+        return typeof value === 'function' ? value.bind(services) : value;
+      }
+    });
+  }
+
+  Object.freeze(view);
+  publicViews.set(services, { exportsList, view });
+  return view;
+}
@@ -0,0 +1,530 @@
+/**
+ * Application configuration loading and module configuration schemas
+ *
+ * loadConfig() builds the application configuration from layered sources
+ * (built-in defaults, config files, .env files, the process environment and
+ * explicit overrides) and records which layer each value came from.
+ *
+ * Modules may declare a `config` schema describing the settings they accept.
+ * Before any module is initialized, the core resolves every schema against
+ * the application configuration and the environment, applies defaults,
+ * validates types, and exposes the result as `context.config[moduleId]`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { get, isPlainObject, merge, set } from './utils.js';
+
+// Built-in defaults matching the variables documented in .env.example
+const BUILT_IN_DEFAULTS = {
+  env: 'development',
+  port: 3000,
+  framework: 'express',
+  debug: false,
+  logLevel: 'info',
+  modulesDir: 'modules'
+};
+
+// Environment variables mapped onto top-level config keys. DEBUG belongs to
+// the debug package (DEBUG=express:*); config.debug is set with APP_DEBUG
+const DEFAULT_ENV_MAP = {
+  PORT: 'port',
+  FRAMEWORK: 'framework',
+  LOG_LEVEL: 'logLevel',
+  LOG_FORMAT: 'logFormat',
+  MODULES_DIR: 'modulesDir'
+};
+
+// Prefix of other variables mapped onto config paths (APP_AUTH__JWT_SECRET)
+const DEFAULT_ENV_PREFIX = 'APP_';
+
+const CONFIG_EXTENSIONS = ['.json', '.js', '.mjs', '.cjs'];
+
+/**
+ * Load the application configuration from layered sources
+ *
+ * Layers, from lowest to highest precedence:
+ * 1. built-in defaults and `options.defaults`
+ * 2. `config/default.{json,js,mjs,cjs}`
+ * 3. `config/<NODE_ENV>.{json,js,mjs,cjs}`
+ * 4. `.env`, `.env.local`, `.env.<NODE_ENV>`, `.env.<NODE_ENV>.local`
+ * 5. `process.env`
+ * 6. `options.overrides`
+ *
+ * Environment variables are mapped onto config keys through `envMap`, and
+ * variables starting with `envPrefix` map onto the key that follows, with
+ * double underscores separating nested keys (e.g. `APP_AUTH__JWT_SECRET`
+ * becomes `auth.jwtSecret`). Other variables are ignored. Values read from .env
+ * files are also copied into `process.env` unless already set, so module
+ * config schemas can map them too. String values in defaults, config files
+ * and overrides may reference environment variables as `${VAR}` or
+ * `${VAR:-fallback}`; values from the environment are not interpolated.
+ *
+ * @param {object} options - Loader options
+ * @param {string} options.cwd - Directory containing the config directory and .env files
+ * @param {string} options.configDir - Config directory, relative to cwd (default: 'config')
+ * @param {string} options.env - Environment name (default: NODE_ENV or 'development')
+ * @param {object} options.defaults - Additional defaults
+ * @param {object} options.overrides - Values that take precedence over every other layer
+ * @param {object} options.envMap - Map of environment variable names to config paths
+ * @param {string} options.envPrefix - Prefix of variables mapped onto config paths (default: 'APP_')
+ * @returns {Promise<{ config: object, sources: object }>} Effective config and the source of each value
+ */
+export async function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const configDir = path.resolve(cwd, options.configDir || 'config');
+  const envName = options.env || process.env.NODE_ENV || 'development';
+  const envMap = { ...DEFAULT_ENV_MAP, ...options.envMap };
+  const envPrefix = options.envPrefix ?? DEFAULT_ENV_PREFIX;
+
+  // Variables from .env files never override the real environment
+  const dotenv = {};
+  const dotenvFiles = ['.env', '.env.local', `.env.${envName}`, `.env.${envName}.local`];
+  const dotenvLayers = [];
+
+  for (const file of dotenvFiles) {
+    const filePath = path.join(cwd, file);
+
+    if (fs.existsSync(filePath)) {
+      const values = parseDotenv(fs.readFileSync(filePath, 'utf8'), { ...process.env, ...dotenv });
+      Object.assign(dotenv, values);
+      dotenvLayers.push({ source: file, values });
+    }
+  }
+
+  const variables = { ...dotenv, ...process.env };
+  const defaults = merge(BUILT_IN_DEFAULTS, { env: envName }, options.defaults);
+
+  const layers = [{ source: 'defaults', values: defaults }];
+
+  for (const name of ['default', envName]) {
+    const filePath = findConfigFile(configDir, name);
+
+    if (filePath) {
+      layers.push({ source: path.relative(cwd, filePath), values: await readConfigFile(filePath) });
+    }
+  }
+
+  layers.push(
+    ...dotenvLayers.map(layer => ({ source: layer.source, values: mapEnv(layer.values, envMap, envPrefix, defaults), raw: true })),
+    { source: 'process.env', values: mapEnv(process.env, envMap, envPrefix, defaults), raw: true },
+    { source: 'overrides', values: options.overrides }
+  );
+
+  let config = {};
+  const sources = {};
+
+  for (const layer of layers) {
+    if (!layer.values) continue;
+
+    // Environment values are used as they are; .env files interpolate when parsed
+    const values = layer.raw ? layer.values : interpolate(layer.values, variables);
+    config = merge(config, values);
+
+    for (const key of flattenKeys(values)) {
+      sources[key] = layer.source;
+    }
+  }
+
+  for (const [key, value] of Object.entries(dotenv)) {
+    if (process.env[key] === undefined) {
+      process.env[key] = value;
+    }
+  }
+
+  return { config, sources };
+}
+
+/**
+ * Format the sources reported by loadConfig() as readable lines
+ *
+ * @param {object} sources - Map of config paths to source names
+ * @returns {string} One "path <- source" line per value
+ */
+export function formatConfigSources(sources) {
+  const keys = Object.keys(sources).sort();
+  const width = Math.max(0, ...keys.map(key => key.length));
+
+  return keys.map(key => `${key.padEnd(width)}  <- ${sources[key]}`).join('\n');
+}
+
+/**
+ * Parse the contents of a .env file
+ *
+ * Supports comments, `export` prefixes, single and double quoted values
+ * (double quotes expand \n) and `${VAR}` references to earlier variables.
+ *
+ * @param {string} content - File contents
+ * @param {object} env - Variables available for interpolation
+ * @returns {object} Parsed variables
+ */
+export function parseDotenv(content, env = {}) {
+  const result = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = /^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      continue;
+    }
+
+    const [, key, rawValue] = match;
+    let value = rawValue;
+    const quote = value[0];
+
+    if ((quote === '"' || quote === "'") && value.lastIndexOf(quote) > 0) {
+      value = value.slice(1, value.lastIndexOf(quote));
+
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n');
+      }
+    } else {
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+
+    result[key] = quote === "'" ? value : interpolateString(value, { ...env, ...result });
+  }
+
+  return result;
+}
+
+/**
+ * Find a config file for a base name in any supported format
+ *
+ * @param {string} dir - Config directory
+ * @param {string} name - Base file name (e.g., 'default' or 'production')
+ * @returns {string|null} Absolute file path or null
+ * @private
+ */
+function findConfigFile(dir, name) {
+  for (const ext of CONFIG_EXTENSIONS) {
+    const filePath = path.join(dir, `${name}${ext}`);
+
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a JSON or JavaScript config file
+ *
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<object>} Config values
+ * @private
+ */
+async function readConfigFile(filePath) {
+  if (filePath.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse config file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const exported = await import(pathToFileURL(filePath).href);
+  const values = exported.default ?? exported;
+  return typeof values === 'function' ? await values() : values;
+}
+
+/**
+ * Map environment variables onto config paths
+ *
+ * Values are converted to the type of the default at the same path.
+ *
+ * @param {object} env - Environment variables
+ * @param {object} envMap - Map of variable names to config paths
+ * @param {string} envPrefix - Prefix of variables mapped onto config paths
+ * @param {object} defaults - Default config, used for type conversion
+ * @returns {object} Config values
+ * @private
+ */
+function mapEnv(env, envMap, envPrefix, defaults) {
+  const values = {};
+
+  for (const [name, value] of Object.entries(env)) {
+    let configPath = envMap[name];
+
+    if (!configPath && envPrefix && name.startsWith(envPrefix)) {
+      configPath = name
+        .slice(envPrefix.length)
+        .split('__')
+        .filter(Boolean)
+        .map(part => part.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()))
+        .join('.');
+    }
+
+    if (configPath && value !== undefined) {
+      set(values, configPath, coerceLike(value, get(defaults, configPath)));
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Convert an environment string to the type of a reference value
+ *
+ * @param {string} value - Raw value
+ * @param {any} reference - Value whose type to match
+ * @returns {any} Converted value
+ * @private
+ */
+function coerceLike(value, reference) {
+  if (typeof reference === 'number') {
+    return coerceEnvValue(value, 'number');
+  }
+
+  if (typeof reference === 'boolean') {
+    return coerceEnvValue(value, 'boolean');
+  }
+
+  return value;
+}
+
+/**
+ * Replace ${VAR} references in every string of a value
+ *
+ * @param {any} value - Value to interpolate
+ * @param {object} env - Variables available for interpolation
+ * @returns {any} Interpolated copy
+ * @private
+ */
+function interpolate(value, env) {
+  if (typeof value === 'string') {
+    return interpolateString(value, env);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env));
+  }
+
+  // Dates, regular expressions and class instances are kept as they are
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env)]));
+  }
+
+  return value;
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-fallback} references in a string
+ *
+ * @param {string} value - String to interpolate
+ * @param {object} env - Variables available for interpolation
+ * @returns {string} Interpolated string
+ * @private
+ */
+function interpolateString(value, env) {
+  return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback) => {
+    const resolved = env[name];
+    return resolved !== undefined && resolved !== '' ? resolved : (fallback ?? '');
+  });
+}
+
+/**
+ * List the dot-notation paths of every leaf value in an object
+ *
+ * @param {object} obj - Object to flatten
+ * @param {string} prefix - Path prefix
+ * @returns {string[]} Leaf paths
+ * @private
+ */
+function flattenKeys(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      return flattenKeys(value, keyPath);
+    }
+
+    return [keyPath];
+  });
+}
+
+const TYPES = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+
+/**
+ * Resolve a configuration schema against supplied values and the environment
+ *
+ * Each key is taken from the environment variable named by `env` if set,
+ * otherwise from `values`, otherwise from `default`.
+ *
+ * @param {object} schema - Map of keys to field definitions (or type names)
+ * @param {object} values - Values supplied by the application
+ * @param {object} env - Environment variables
+ * @returns {{ config: object, errors: Array<object> }} Resolved config and validation errors
+ */
+export function resolveConfigSchema(schema, values = {}, env = process.env) {
+  const config = { ...values };
+  const errors = [];
+
+  for (const [key, definition] of Object.entries(schema)) {
+    const field = typeof definition === 'string' ? { type: definition } : definition;
+    const type = field.type || 'any';
+
+    if (!TYPES.includes(type)) {
+      errors.push({ key, message: `unknown type "${type}" in schema` });
+      continue;
+    }
+
+    let value = values[key];
+    let fromEnv = false;
+
+    if (field.env && env[field.env] !== undefined && env[field.env] !== '') {
+      value = env[field.env];
+      fromEnv = true;
+    }
+
+    if (value === undefined && field.default !== undefined) {
+      value = typeof field.default === 'function' ? field.default() : field.default;
+    }
+
+    if (value === undefined || value === null) {
+      if (field.required) {
+        const hint = field.env ? ` (set ${field.env})` : '';
+        errors.push({ key, message: `is required${hint}` });
+      }
+
+      delete config[key];
+      continue;
+    }
+
+    if (fromEnv) {
+      value = coerceEnvValue(value, type);
+    }
+
+    const problem = checkType(value, type) || checkEnum(value, field.enum);
+    if (problem) {
+      const shown = field.secret ? '' : ` (got ${JSON.stringify(value)})`;
+      errors.push({ key, message: `${problem}${shown}` });
+      continue;
+    }
+
+    config[key] = value;
+  }
+
+  return { config, errors };
+}
+
+/**
+ * Resolve the configuration schemas of all modules
+ *
+ * Modules without a schema receive their section of the application config
+ * unchanged. Errors from every module are collected before failing so that
+ * a single boot attempt reports every invalid or missing key.
+ *
+ * @param {object} modules - Registered modules keyed by name
+ * @param {object} config - Application configuration
+ * @param {object} env - Environment variables
+ * @returns {object} Application config with namespaced module sections
+ * @throws {Error} If any module configuration is invalid
+ */
+export function resolveModuleConfigs(modules, config = {}, env = process.env) {
+  const resolved = { ...config };
+  const errors = [];
+
+  for (const module of Object.values(modules)) {
+    if (!module.config || typeof module.config !== 'object') {
+      continue;
+    }
+
+    const section = config[module.id];
+    const result = resolveConfigSchema(module.config, section && typeof section === 'object' ? section : {}, env);
+
+    resolved[module.id] = result.config;
+    errors.push(...result.errors.map(error => ({ module: module.id, ...error })));
+  }
+
+  if (errors.length > 0) {
+    const lines = errors.map(({ module, key, message }) => `  - ${module}.${key} ${message}`);
+    const error = new Error(`Invalid module configuration:\n${lines.join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return resolved;
+}
+
+/**
+ * Convert an environment variable string to the declared type
+ *
+ * Values that cannot be converted are returned unchanged so that type
+ * validation reports them.
+ *
+ * @param {string} value - Raw environment value
+ * @param {string} type - Declared type
+ * @returns {any} Converted value
+ * @private
+ */
+function coerceEnvValue(value, type) {
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && !isNaN(number) ? number : value;
+    }
+
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) return false;
+      return value;
+
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a value against a declared type
+ *
+ * @param {any} value - Value to check
+ * @param {string} type - Declared type
+ * @returns {string|null} Problem description or null if valid
+ * @private
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'any':
+      return null;
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'number':
+      return typeof value === 'number' && !isNaN(value) ? null : 'must be a number';
+    default:
+      return typeof value === type ? null : `must be a ${type}`;
+  }
+}
+
+/**
+ * Check a value against a list of allowed values
+ *
+ * @param {any} value - Value to check
+ * @param {Array<any>} allowed - Allowed values
+ * @returns {string|null} Problem description or null if valid
+ * @private
+ */
+function checkEnum(value, allowed) {
+  if (!Array.isArray(allowed) || allowed.includes(value)) {
+    return null;
+  }
+
+  return `must be one of ${allowed.map(v => JSON.stringify(v)).join(', ')}`;
+}
@@ -0,0 +1,212 @@
+/**
+ * Module discovery
+ *
+ * Finds modules in a directory containing one subdirectory per module and
+ * registers them, so applications don't have to import each module by hand.
+ *
+ * A module's package.json may contain a `modularSystem` manifest:
+ *
+ *   "modularSystem": {
+ *     "entry": "dist/index.js",
+ *     "enabled": true,
+ *     "environments": ["development", "production"]
+ *   }
+ *
+ * Without a manifest the module is loaded from the package's `main` field,
+ * or index.js when there is no package.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getDefaultLogger } from './logger.js';
+
+export const MANIFEST_FIELD = 'modularSystem';
+
+/**
+ * Discover, import and register the modules in one or more directories
+ *
+ * Subdirectories are processed in alphabetical order. A module is skipped
+ * when its manifest disables it or doesn't list the current environment,
+ * and reported as failed when its entry point is missing, can't be imported,
+ * doesn't export a module definition or is rejected by `register`. Failures
+ * never stop the other modules from being registered.
+ *
+ * @param {object} options - Discovery options
+ * @param {string|string[]} options.dir - Directory or directories to scan (default: 'modules')
+ * @param {string} options.env - Current environment (default: NODE_ENV or 'development')
+ * @param {boolean} options.requireManifest - Only load packages that have a manifest (default: false)
+ * @param {object} options.logger - Logger (default: the default logger)
+ * @param {object} handlers - Module system callbacks
+ * @param {Function} handlers.register - Called with (name, definition) to register a module
+ * @param {Function} handlers.isRegistered - Returns true if a module name is already registered
+ * @returns {Promise<object>} Report with registered, skipped and failed modules
+ */
+export async function discoverModuleDirectory(options, handlers) {
+  const dirs = [].concat(options.dir || 'modules').map(dir => path.resolve(dir));
+  const env = options.env || process.env.NODE_ENV || 'development';
+  const logger = options.logger || getDefaultLogger();
+  const report = { registered: [], skipped: [], failed: [] };
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      logger.warn(`Module directory not found: ${dir}`);
+      continue;
+    }
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const dirName of entries) {
+      const moduleDir = path.join(dir, dirName);
+      const result = await loadModuleDirectory(moduleDir, env, options, handlers);
+
+      report[result.status].push({ dir: moduleDir, ...result.details });
+    }
+  }
+
+  logReport(report, logger);
+  return report;
+}
+
+/**
+ * Load and register the module in a single directory
+ *
+ * @param {string} moduleDir - Module directory
+ * @param {string} env - Current environment
+ * @param {object} options - Discovery options
+ * @param {object} handlers - Module system callbacks
+ * @returns {Promise<object>} { status: 'registered'|'skipped'|'failed', details }
+ * @private
+ */
+async function loadModuleDirectory(moduleDir, env, options, handlers) {
+  let manifest;
+
+  try {
+    manifest = readModuleManifest(moduleDir);
+  } catch (error) {
+    return { status: 'failed', details: { error } };
+  }
+
+  if (!manifest) {
+    return { status: 'skipped', details: { reason: 'no package.json or index.js' } };
+  }
+
+  if (options.requireManifest && !manifest.declared) {
+    return { status: 'skipped', details: { reason: `no "${MANIFEST_FIELD}" manifest` } };
+  }
+
+  if (manifest.enabled === false) {
+    return { status: 'skipped', details: { reason: 'disabled in manifest' } };
+  }
+
+  if (Array.isArray(manifest.environments) && !manifest.environments.includes(env)) {
+    return { status: 'skipped', details: { reason: `not enabled for environment "${env}"` } };
+  }
+
+  if (!fs.existsSync(manifest.entry)) {
+    const error = new Error(`Entry point not found: ${manifest.entry} (has the module been built?)`);
+    return { status: 'failed', details: { entry: manifest.entry, error } };
+  }
+
+  try {
+    const exported = await import(pathToFileURL(manifest.entry).href);
+    const definition = exported.default ?? exported;
+
+    if (!definition || typeof definition !== 'object' || !definition.id) {
+      throw new Error(`${manifest.entry} does not export a module definition`);
+    }
+
+    const name = manifest.name || definition.id;
+
+    if (handlers.isRegistered(name)) {
+      return { status: 'skipped', details: { name, reason: `module "${name}" is already registered` } };
+    }
+
+    handlers.register(name, definition);
+
+    return { status: 'registered', details: { name, entry: manifest.entry } };
+  } catch (error) {
+    return { status: 'failed', details: { entry: manifest.entry, error } };
+  }
+}
+
+/**
+ * Read the manifest of a module directory
+ *
+ * Combines the `modularSystem` field of the module's package.json with the
+ * resolved entry point. Returns null when the directory has neither a
+ * package.json nor an index.js.
+ *
+ * @param {string} moduleDir - Module directory
+ * @returns {object|null} Manifest with entry, name, enabled, environments and declared
+ * @throws {Error} If package.json can't be parsed or the manifest is invalid
+ */
+export function readModuleManifest(moduleDir) {
+  const packagePath = path.join(moduleDir, 'package.json');
+
+  if (!fs.existsSync(packagePath)) {
+    const entry = path.join(moduleDir, 'index.js');
+    return fs.existsSync(entry) ? { entry, declared: false } : null;
+  }
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid package.json in ${moduleDir}: ${error.message}`);
+  }
+
+  const manifest = packageJson[MANIFEST_FIELD];
+
+  if (manifest !== undefined && (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest))) {
+    throw new Error(`"${MANIFEST_FIELD}" in ${packagePath} must be an object`);
+  }
+
+  if (manifest?.environments !== undefined && !Array.isArray(manifest.environments)) {
+    throw new Error(`"${MANIFEST_FIELD}.environments" in ${packagePath} must be an array`);
+  }
+
+  const { entry, ...rest } = manifest || {};
+
+  return {
+    ...rest,
+    entry: path.join(moduleDir, entry || packageJson.main || 'index.js'),
+    declared: manifest !== undefined
+  };
+}
+
+/**
+ * Resolve the entry point of a module directory
+ *
+ * Uses the manifest `entry`, then the `main` field of the module's
+ * package.json, falling back to index.js.
+ *
+ * @param {string} moduleDir - Module directory
+ * @returns {string} Absolute path of the entry file
+ */
+export function resolveEntryPoint(moduleDir) {
+  return readModuleManifest(moduleDir)?.entry || path.join(moduleDir, 'index.js');
+}
+
+/**
+ * Log a summary of a discovery report
+ *
+ * @param {object} report - Discovery report
+ * @param {object} logger - Logger
+ * @returns {void}
+ * @private
+ */
+function logReport(report, logger) {
+  for (const { dir, reason } of report.skipped) {
+    logger.info(`Skipped module in ${dir}: ${reason}`);
+  }
+
+  for (const { dir, error } of report.failed) {
+    logger.error(`Failed to load module in ${dir}`, error);
+  }
+
+  logger.info(`Discovered ${report.registered.length} module(s), skipped ${report.skipped.length}, failed ${report.failed.length}`);
+}
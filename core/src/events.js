@@ -0,0 +1,211 @@
+/**
+ * In-process event bus for decoupled module communication
+ *
+ * Modules publish events without knowing who listens, and subscribe to
+ * events without depending on the publisher. Handlers run asynchronously
+ * and in isolation: a failing handler is reported but never affects the
+ * emitter or other handlers.
+ *
+ * Event names are dot-separated. Subscription patterns may use `*` to match
+ * exactly one segment (`user.*`) and `**` to match any number of segments
+ * (`order.**`, or `**` for every event).
+ */
+
+import { getDefaultLogger } from './logger.js';
+
+/**
+ * Create an event bus
+ *
+ * @param {object} options - Event bus options
+ * @param {Function} options.onError - Called with (error, event, subscription) when a handler fails
+ * @param {object} options.logger - Logger for handler failures when no onError is given (default: the default logger)
+ * @returns {object} Event bus with emit, on, once and off
+ */
+export function createEventBus(options = {}) {
+  const onError = options.onError || ((error, event, subscription) => {
+    const owner = subscription.owner ? ` in module ${subscription.owner}` : '';
+    (options.logger || getDefaultLogger()).error(`Error handling event ${event}${owner}`, error);
+  });
+
+  let subscriptions = [];
+  const publishers = {};
+
+  /**
+   * Subscribe to an event or pattern
+   *
+   * @param {string} pattern - Event name or wildcard pattern
+   * @param {Function} handler - Called with (payload, event)
+   * @param {object} subscribeOptions - Subscription options
+   * @param {string} subscribeOptions.owner - Module that owns the subscription
+   * @param {boolean} subscribeOptions.once - Remove after the first delivery
+   * @returns {Function} Function that removes the subscription
+   */
+  function on(pattern, handler, subscribeOptions = {}) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('Event name must be a non-empty string');
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for event ${pattern} must be a function`);
+    }
+
+    const subscription = {
+      pattern,
+      handler,
+      owner: subscribeOptions.owner,
+      once: Boolean(subscribeOptions.once),
+      matcher: compilePattern(pattern)
+    };
+
+    subscriptions.push(subscription);
+    return () => removeSubscription(subscription);
+  }
+
+  /**
+   * Subscribe to an event or pattern for a single delivery
+   *
+   * @param {string} pattern - Event name or wildcard pattern
+   * @param {Function} handler - Called with (payload, event)
+   * @param {object} subscribeOptions - Subscription options (owner)
+   * @returns {Function} Function that removes the subscription
+   */
+  function once(pattern, handler, subscribeOptions = {}) {
+    return on(pattern, handler, { ...subscribeOptions, once: true });
+  }
+
+  /**
+   * Remove subscriptions
+   *
+   * With a handler, removes that handler from the pattern; without one,
+   * removes every subscription to the pattern.
+   *
+   * @param {string} pattern - Event name or wildcard pattern used to subscribe
+   * @param {Function} handler - Handler to remove
+   * @returns {void}
+   */
+  function off(pattern, handler) {
+    subscriptions = subscriptions.filter(subscription =>
+      subscription.pattern !== pattern || (handler && subscription.handler !== handler)
+    );
+  }
+
+  /**
+   * Emit an event to every matching subscriber
+   *
+   * The returned promise resolves once all handlers have settled and never
+   * rejects; handler errors are passed to onError.
+   *
+   * @param {string} event - Event name
+   * @param {any} payload - Event payload
+   * @returns {Promise<number>} Number of handlers the event was delivered to
+   */
+  async function emit(event, payload) {
+    const matching = subscriptions.filter(subscription => subscription.matcher(event));
+
+    for (const subscription of matching) {
+      if (subscription.once) {
+        removeSubscription(subscription);
+      }
+    }
+
+    await Promise.all(matching.map(subscription =>
+      Promise.resolve()
+        .then(() => subscription.handler(payload, event))
+        .catch(error => onError(error, event, subscription))
+    ));
+
+    return matching.length;
+  }
+
+  /**
+   * Record that a module publishes an event
+   *
+   * @param {string} event - Event name
+   * @param {string} owner - Publishing module
+   * @returns {void}
+   */
+  function declarePublisher(event, owner) {
+    publishers[event] = publishers[event] || new Set();
+    publishers[event].add(owner);
+  }
+
+  /**
+   * Remove every subscription, or only those owned by a module
+   *
+   * @param {string} owner - Module whose subscriptions to remove
+   * @returns {void}
+   */
+  function removeAll(owner) {
+    if (owner === undefined) {
+      subscriptions = [];
+      return;
+    }
+
+    subscriptions = subscriptions.filter(subscription => subscription.owner !== owner);
+
+    for (const owners of Object.values(publishers)) {
+      owners.delete(owner);
+    }
+  }
+
+  /**
+   * List known events with their publishers and subscribers
+   *
+   * @returns {object} Map of event names or patterns to { publishers, subscribers }
+   */
+  function listEvents() {
+    const catalog = {};
+    const entry = (name) => (catalog[name] = catalog[name] || { publishers: [], subscribers: [] });
+
+    for (const [event, owners] of Object.entries(publishers)) {
+      entry(event).publishers.push(...owners);
+    }
+
+    for (const subscription of subscriptions) {
+      entry(subscription.pattern).subscribers.push(subscription.owner || null);
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Remove a single subscription
+   *
+   * @param {object} subscription - Subscription to remove
+   * @returns {void}
+   * @private
+   */
+  function removeSubscription(subscription) {
+    subscriptions = subscriptions.filter(s => s !== subscription);
+  }
+
+  return { emit, on, once, off, removeAll, declarePublisher, listEvents };
+}
+
+/**
+ * Compile a subscription pattern into a matcher function
+ *
+ * @param {string} pattern - Event name or wildcard pattern
+ * @returns {Function} Returns true for matching event names
+ * @private
+ */
+function compilePattern(pattern) {
+  if (!pattern.includes('*')) {
+    return (event) => event === pattern;
+  }
+
+  const source = pattern
+    .split('.')
+    .map(segment => {
+      if (segment === '**') return '.*';
+      if (segment === '*') return '[^.]+';
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+    })
+    .join('\\.')
+    // Let `a.**` also match `a` itself and `**.b` match `b`
+    .replace(/\\\.\.\*$/, '(?:\\..*)?')
+    .replace(/^\.\*\\\./, '(?:.*\\.)?');
+
+  const regex = new RegExp(`^${source}$`);
+  return (event) => regex.test(event);
+}
@@ -0,0 +1,239 @@
+/**
+ * Feature flags and module switches
+ *
+ * Modules can be switched off per environment or tenant without changing
+ * code, either through configuration (`modules.<name>.enabled = false`) or
+ * through a feature flag provider (flag `modules.<name>`). Disabled modules
+ * are skipped together with every module that requires them.
+ *
+ * A feature flag provider is any object with an `isEnabled(flag, context)`
+ * method returning (or resolving to) true, false, or undefined when the flag
+ * is not set. The context contains at least `env`, plus `module` or `req`
+ * where applicable. createFeatureFlags() is the default in-memory provider
+ * and can also read flags from a JSON file.
+ *
+ * Inside enabled modules, `context.features.guard(flag, handler)` wraps a
+ * route handler so the endpoint only responds while the flag is on.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create an in-memory feature flag provider
+ *
+ * A flag value is a boolean, or an object with an `enabled` boolean and
+ * optional `environments` and `tenants` lists that restrict where the flag
+ * is on. Flags from `file` are loaded first; `flags` take precedence.
+ *
+ * @param {object} options - Provider options
+ * @param {object} options.flags - Initial flag values keyed by flag name
+ * @param {string} options.file - JSON file with flag values keyed by flag name
+ * @returns {object} Provider with isEnabled, set, getAll and reload
+ */
+export function createFeatureFlags(options = {}) {
+  const file = options.file ? path.resolve(options.file) : null;
+  let flags = {};
+
+  /**
+   * Load flag values from the file and the initial flags
+   *
+   * @returns {void}
+   * @throws {Error} If the file can't be read or parsed
+   */
+  function reload() {
+    let fromFile = {};
+
+    if (file) {
+      try {
+        fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load feature flags from ${file}: ${error.message}`);
+      }
+    }
+
+    flags = { ...fromFile, ...options.flags };
+  }
+
+  /**
+   * Check whether a flag is on
+   *
+   * @param {string} flag - Flag name
+   * @param {object} context - Evaluation context ({ env, tenant, module, req })
+   * @returns {boolean|undefined} Flag state, or undefined if the flag is not set
+   */
+  function isEnabled(flag, context = {}) {
+    return evaluateFlag(flags[flag], context);
+  }
+
+  /**
+   * Set a flag value at runtime
+   *
+   * @param {string} flag - Flag name
+   * @param {boolean|object} value - Flag value
+   * @returns {void}
+   */
+  function set(flag, value) {
+    flags[flag] = value;
+  }
+
+  /**
+   * Get all flag values
+   *
+   * @returns {object} Flag values keyed by flag name
+   */
+  function getAll() {
+    return { ...flags };
+  }
+
+  reload();
+
+  return { isEnabled, set, getAll, reload };
+}
+
+/**
+ * Create the feature API exposed to modules as `context.features`
+ *
+ * @param {object} provider - Feature flag provider
+ * @param {object} defaults - Evaluation context merged into every check (e.g. { env })
+ * @returns {object} Feature API with provider, isEnabled and guard
+ */
+export function createFeatureGate(provider, defaults = {}) {
+  if (!provider || typeof provider.isEnabled !== 'function') {
+    throw new Error('Feature flag provider must implement isEnabled(flag, context)');
+  }
+
+  /**
+   * Check whether a flag is on
+   *
+   * @param {string} flag - Flag name
+   * @param {object} context - Evaluation context
+   * @param {boolean} defaultValue - Result when the provider doesn't know the flag (default: false)
+   * @returns {Promise<boolean>} Flag state
+   */
+  async function isEnabled(flag, context = {}, defaultValue = false) {
+    const value = await provider.isEnabled(flag, { ...defaults, ...context });
+    return value === undefined || value === null ? defaultValue : toBoolean(value);
+  }
+
+  /**
+   * Wrap a route handler so it only runs while a flag is on
+   *
+   * While the flag is off the route responds as if it didn't exist. The
+   * request is available to the provider as `context.req`.
+   *
+   * @param {string} flag - Flag name
+   * @param {Function} handler - Route handler (req, res, next)
+   * @param {object} options - Guard options
+   * @param {number} options.status - Status code while the flag is off (default: 404)
+   * @param {Function} options.getContext - Returns extra evaluation context for a request, e.g. { tenant }
+   * @returns {Function} Route handler
+   */
+  function guard(flag, handler, options = {}) {
+    const { status = 404, getContext = () => ({}) } = options;
+
+    // Errors from the provider or the handler are passed to next
+    return async (req, res, next) => {
+      try {
+        if (await isEnabled(flag, { ...getContext(req), req })) {
+          return await handler(req, res, next);
+        }
+
+        res.status(status).json({ error: status === 404 ? 'Not Found' : 'Feature disabled' });
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  return { provider, isEnabled, guard };
+}
+
+/**
+ * Determine which registered modules are disabled
+ *
+ * A module is disabled when `config.modules.<name>.enabled` is false, when
+ * the feature flag `modules.<name>` is off, or when it requires (not
+ * optionally) a disabled module. Modules are checked in dependency order so
+ * the reason names the module that was switched off.
+ *
+ * @param {object} modules - Registered modules keyed by name
+ * @param {object} graph - Dependency graph with order and edges
+ * @param {object} options - Resolution options
+ * @param {object} options.config - Application configuration
+ * @param {object} options.features - Feature API from createFeatureGate()
+ * @returns {Promise<object>} Reasons keyed by the names of disabled modules
+ */
+export async function resolveDisabledModules(modules, graph, options = {}) {
+  const { config = {}, features } = options;
+  const disabled = {};
+
+  for (const name of graph.order) {
+    const module = modules[name];
+    const switchConfig = config.modules?.[name] ?? config.modules?.[module.id];
+
+    if (switchConfig?.enabled !== undefined && !toBoolean(switchConfig.enabled)) {
+      disabled[name] = `disabled in config (modules.${name}.enabled)`;
+      continue;
+    }
+
+    if (features && !(await features.isEnabled(`modules.${name}`, { module: name }, true))) {
+      disabled[name] = `disabled by feature flag "modules.${name}"`;
+      continue;
+    }
+
+    const blocker = graph.edges.find(edge => edge.from === name && !edge.optional && disabled[edge.to]);
+    if (blocker) {
+      disabled[name] = `requires disabled module "${blocker.to}"`;
+    }
+  }
+
+  return disabled;
+}
+
+/**
+ * Evaluate a flag value against a context
+ *
+ * @param {boolean|string|object} value - Flag value
+ * @param {object} context - Evaluation context
+ * @returns {boolean|undefined} Flag state
+ * @private
+ */
+function evaluateFlag(value, context) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (typeof value !== 'object') {
+    return toBoolean(value);
+  }
+
+  if (value.enabled !== undefined && !toBoolean(value.enabled)) {
+    return false;
+  }
+
+  if (Array.isArray(value.environments) && !value.environments.includes(context.env)) {
+    return false;
+  }
+
+  if (Array.isArray(value.tenants) && !value.tenants.includes(context.tenant)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Interpret a boolean-like value, including strings from environment variables
+ *
+ * @param {any} value - Value
+ * @returns {boolean} Boolean value
+ * @private
+ */
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    return !['false', '0', 'no', 'off', ''].includes(value.trim().toLowerCase());
+  }
+
+  return Boolean(value);
+}
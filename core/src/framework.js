@@ -5,21 +5,107 @@
  * This adapter provides a thin abstraction layer that allows modules to work
  * with different web frameworks without being tightly coupled to them.
  * It preserves direct access to the underlying framework's features.
+ *
+ * Adapters are registered by name with registerFrameworkAdapter(). An
+ * adapter is an async factory called with the createApp() options that
+ * returns an app with:
+ *
+ * - use([path], ...middleware): Express middleware, optionally mounted on a
+ *   path; middleware with four parameters handles errors from every route
+ * - all/get/post/put/delete/patch/options/head(path, ...handlers): routes
+ *   with Express paths, handlers called with Express-compatible req, res
+ *   and next
+ * - listen(port, callback): starts serving and returns the Node HTTP server
+ * - close(): stops serving, resolving once the server has closed
+ * - _raw: the underlying framework instance
+ *
+ * Apps should parse JSON and URL-encoded bodies and honour the `metrics`,
+ * `cors` and `helmet` options. runFrameworkConformance() checks an adapter
+ * against Express's behaviour. Built-in adapters: 'express' (default),
+ * 'fastify', 'koa' and 'http' (Node's HTTP server, no dependencies).
  */
 
+import { STATUS_CODES } from 'http';
+import { CONTENT_TYPES, createBodyParser, createHttpApp, createKoaApp, serializeCookie } from './http-app.js';
+import { getDefaultMetricsRegistry, getHttpMetrics } from './metrics.js';
+import {
+  REQUEST_SCHEMA,
+  REQUEST_SCHEMA_LOCATIONS,
+  VALIDATION_OPTIONS,
+  compileRequestSchema,
+  formatValidationErrors,
+  sendValidationError
+} from './validation.js';
+
+// Methods every app must provide
+const APP_METHODS = ['use', 'all', 'get', 'post', 'put', 'delete', 'patch', 'options', 'head', 'listen', 'close'];
+
+// Adapter factories by framework name
+const adapters = new Map();
+
+// Built-in adapters
+registerFrameworkAdapter('express', createExpressApp);
+registerFrameworkAdapter('fastify', createFastifyApp);
+registerFrameworkAdapter('koa', createKoaFrameworkApp);
+registerFrameworkAdapter('http', createNodeHttpApp);
+
+/**
+ * Register a framework adapter
+ *
+ * Registering a name again replaces its adapter, including built-in ones.
+ *
+ * @param {string} name - Framework name passed to createApp()
+ * @param {Function} factory - Async function creating an app from the createApp() options
+ * @returns {void}
+ * @throws {Error} If the name or factory is invalid
+ */
+export function registerFrameworkAdapter(name, factory) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Framework adapter name must be a non-empty string');
+  }
+
+  if (typeof factory !== 'function') {
+    throw new Error(`Framework adapter "${name}" must be a function`);
+  }
+
+  adapters.set(name, factory);
+}
+
+/**
+ * List the registered framework adapters
+ *
+ * @returns {string[]} Framework names
+ */
+export function getFrameworkAdapters() {
+  return Array.from(adapters.keys());
+}
+
 /**
  * Create an application instance with the configured framework
  * @param {object} options - Framework options
  * @returns {Promise<object>} Application instance
+ * @throws {Error} If no adapter is registered for the framework or its app breaks the adapter contract
  */
 export async function createApp(options = {}) {
   const framework = options.framework || process.env.FRAMEWORK || 'express';
+  const factory = adapters.get(framework);
 
-  if (framework === 'fastify') {
-    return createFastifyApp(options);
-  } else {
-    return createExpressApp(options);
+  if (!factory) {
+    const error = new Error(`Unknown framework "${framework}". Registered: ${getFrameworkAdapters().join(', ')}`);
+    error.code = 'UNKNOWN_FRAMEWORK';
+    throw error;
+  }
+
+  const app = await factory(options);
+  const missing = APP_METHODS.filter(method => typeof app?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    const error = new Error(`App created by framework adapter "${framework}" is missing: ${missing.join(', ')}`);
+    error.code = 'INVALID_FRAMEWORK_ADAPTER';
+    throw error;
   }
+
+  return app;
 }
 
 /**
@@ -30,10 +116,74 @@ export async function createApp(options = {}) {
 async function createExpressApp(options = {}) {
   const express = (await import('express')).default;
   const app = express();
+  const servers = new Set();
+
+  await applyMiddleware(app, options, [express.json(), express.urlencoded({ extended: true })]);
+
+  // Keep track of servers so they can be closed
+  const listen = app.listen.bind(app);
+
+  app.listen = (...args) => {
+    const server = listen(...args);
+    servers.add(server);
+    return server;
+  };
+
+  app.close = async () => {
+    await Promise.all(Array.from(servers, server => new Promise((resolve, reject) => {
+      server.close(error => (error && error.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(error) : resolve()));
+      server.closeIdleConnections?.();
+    })));
+    servers.clear();
+  };
+
+  // The Express app is the framework instance
+  app._raw = app;
+
+  return app;
+}
+
+/**
+ * Create an app on Node's HTTP server, with no framework dependencies
+ * @param {object} options - App options
+ * @returns {Promise<object>} Express-compatible application
+ */
+async function createNodeHttpApp(options = {}) {
+  const app = createHttpApp(options);
+  await applyMiddleware(app, options, [createBodyParser({ limit: options.bodyLimit })]);
+  return app;
+}
+
+/**
+ * Create a Koa application with an Express-compatible interface
+ * @param {object} options - App options
+ * @returns {Promise<object>} Express-compatible application
+ */
+async function createKoaFrameworkApp(options = {}) {
+  const app = await createKoaApp(options);
+  await applyMiddleware(app, options, [createBodyParser({ limit: options.bodyLimit })]);
+  return app;
+}
+
+/**
+ * Add the standard middleware to an Express-compatible app
+ *
+ * @param {object} app - Application instance
+ * @param {object} options - createApp() options
+ * @param {Function[]} bodyParsers - Body parsing middleware
+ * @returns {Promise<void>}
+ * @private
+ */
+async function applyMiddleware(app, options, bodyParsers) {
+  // Record request count and latency per route
+  if (options.metrics !== false) {
+    app.use(createMetricsMiddleware(options.metrics || getDefaultMetricsRegistry()));
+  }
 
   // Basic middleware
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
+  for (const parser of bodyParsers) {
+    app.use(parser);
+  }
 
   // Add CORS if enabled
   if (options.cors) {
@@ -52,12 +202,15 @@ async function createExpressApp(options = {}) {
     const helmet = (await import('helmet')).default;
     app.use(helmet(typeof options.helmet === 'object' ? options.helmet : {}));
   }
-
-  return app;
 }
 
 /**
  * Create a Fastify application with Express compatibility layer
+ *
+ * Routes and middleware are written against the Express API: route
+ * handlers get Express-like req/res objects and a next function, and error
+ * middleware added with use() handles errors from every route.
+ *
  * @param {object} options - Fastify options
  * @returns {Promise<object>} Fastify application with Express-like interface
  */
@@ -65,27 +218,103 @@ async function createFastifyApp(options = {}) {
   const Fastify = (await import('fastify')).default;
   const fastifyOptions = {
     logger: options.logger ?? true,
-    ...options.fastify
+    ...options.fastify,
+
+    // Validate route schemas the way the validation middleware does
+    ajv: {
+      ...options.fastify?.ajv,
+      customOptions: { ...VALIDATION_OPTIONS, ...options.fastify?.ajv?.customOptions }
+    }
   };
 
   const fastify = Fastify(fastifyOptions);
 
+  // Record request count and latency per route
+  if (options.metrics !== false) {
+    const { requests, duration } = getHttpMetrics(options.metrics || getDefaultMetricsRegistry());
+
+    fastify.addHook('onResponse', (request, reply, done) => {
+      const labels = {
+        method: request.method,
+        route: request.routeOptions?.url || request.routerPath || 'unmatched',
+        status_code: reply.statusCode
+      };
+
+      requests.inc(labels);
+      duration.observe(labels, (reply.elapsedTime ?? reply.getResponseTime()) / 1000);
+      done();
+    });
+  }
+
   // Add Express compatibility layer
   await fastify.register(import('@fastify/express'));
 
+  // Bodies are parsed by the Express middleware below, as on Express, so
+  // Fastify must not read the request stream again
+  fastify.removeAllContentTypeParsers();
+  fastify.addContentTypeParser('*', (request, payload, done) => done(null, request.raw.body));
+
+  // Requests without a body still get the parsers' empty body, as on Express
+  fastify.addHook('preValidation', (request, reply, done) => {
+    if (request.body === undefined && request.raw.body !== undefined) {
+      request.body = request.raw.body;
+    }
+
+    done();
+  });
+
+  // Express error middleware, run for errors from routes and middleware
+  const errorHandlers = [];
+  fastify.setErrorHandler(wrapErrorHandlers(errorHandlers));
+
   const express = (await import('express')).default;
 
+  // Middleware added after routes only runs for requests no route handled,
+  // as in Express, where it comes after the routes
+  const fallbackHandlers = [];
+  let hasRoutes = false;
+
+  const route = (method) => (path, ...handlers) => {
+    hasRoutes = true;
+    fastify.route({ method, url: path, ...createRouteOptions(handlers.flat()) });
+    return expressLayer;
+  };
+
   // Create Express-like interface
   const expressLayer = {
-    use: (...args) => fastify.use(...args),
-    get: (path, handler) => fastify.get(path, wrapHandler(handler)),
-    post: (path, handler) => fastify.post(path, wrapHandler(handler)),
-    put: (path, handler) => fastify.put(path, wrapHandler(handler)),
-    delete: (path, handler) => fastify.delete(path, wrapHandler(handler)),
-    patch: (path, handler) => fastify.patch(path, wrapHandler(handler)),
-    options: (path, handler) => fastify.options(path, wrapHandler(handler)),
-    head: (path, handler) => fastify.head(path, wrapHandler(handler)),
-    listen: (port, callback) => fastify.listen({ port }, callback),
+    use: (...args) => {
+      if (args.length === 1 && typeof args[0] === 'function' && args[0].length === 4) {
+        errorHandlers.push(args[0]);
+      } else if (hasRoutes && typeof args[0] === 'function') {
+        if (fallbackHandlers.length === 0) {
+          fastify.setNotFoundHandler(wrapHandler(fallbackHandlers, sendNotFound));
+        }
+
+        fallbackHandlers.push(...args.flat());
+      } else {
+        fastify.use(...args);
+      }
+
+      return expressLayer;
+    },
+    all: (path, ...handlers) => {
+      hasRoutes = true;
+      const { handler, ...routeOptions } = createRouteOptions(handlers.flat());
+      fastify.all(path, routeOptions, handler);
+      return expressLayer;
+    },
+    get: route('GET'),
+    post: route('POST'),
+    put: route('PUT'),
+    delete: route('DELETE'),
+    patch: route('PATCH'),
+    options: route('OPTIONS'),
+    head: route('HEAD'),
+    listen: (port, callback) => {
+      fastify.listen({ port }, callback);
+      return fastify.server;
+    },
+    close: () => fastify.close(),
 
     // Provide direct access to the underlying Fastify instance
     _raw: fastify
@@ -111,28 +340,447 @@ async function createFastifyApp(options = {}) {
 }
 
 /**
- * Wrap an Express handler for Fastify
- * @param {Function} expressHandler - Express route handler
+ * Create Express middleware that records request count and latency
+ * @param {object} registry - Metrics registry
+ * @returns {Function} Express middleware
+ */
+function createMetricsMiddleware(registry) {
+  const { requests, duration } = getHttpMetrics(registry);
+
+  return (req, res, next) => {
+    const endTimer = duration.startTimer({ method: req.method });
+
+    res.on('finish', () => {
+      const labels = {
+        route: req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched',
+        status_code: res.statusCode
+      };
+
+      requests.inc({ method: req.method, ...labels });
+      endTimer(labels);
+    });
+
+    next();
+  };
+}
+
+/**
+ * Create Fastify route options for Express route handlers
+ *
+ * Validation middleware from validateRequest() at the start of the chain
+ * is replaced by Fastify's native schema validation with the same
+ * validators, with failures answered by the handler in the same format. Fastify stops at the first
+ * invalid part, so the handler checks the others too and lists every
+ * violation.
+ *
+ * @param {Function[]} handlers - Express middleware and route handlers
+ * @returns {object} Fastify route options with handler and, for validated routes, schema
+ * @private
+ */
+function createRouteOptions(handlers) {
+  const schema = handlers[0]?.[REQUEST_SCHEMA];
+
+  if (!schema) {
+    return { handler: wrapHandler(handlers) };
+  }
+
+  const { query, ...rest } = schema;
+
+  return {
+    schema: { ...rest, ...(query ? { querystring: query } : {}) },
+    validatorCompiler: ({ schema: partSchema, httpPart }) => compileRequestSchema(httpPart, partSchema),
+    attachValidation: true,
+    handler: wrapHandler(handlers.slice(1))
+  };
+}
+
+/**
+ * Wrap Express route handlers for Fastify
+ *
+ * The handlers run in order with the same req/res. An error passed to next,
+ * thrown or rejected goes to Fastify's error handler, and so to the Express
+ * error middleware; calling next() after the last handler responds 404.
+ * Requests that failed schema validation get a 400 without running them.
+ *
+ * @param {Function[]} handlers - Express middleware and route handlers
+ * @param {Function} onEnd - Called with the request and reply when the last handler calls next()
  * @returns {Function} Fastify compatible handler
  */
-function wrapHandler(expressHandler) {
-  return async (request, reply) => {
-    // Create Express-like req/res
-    const req = {
-      ...request,
-      body: request.body,
-      query: request.query,
-      params: request.params
+function wrapHandler(handlers, onEnd = (request, reply) => reply.callNotFound()) {
+  return (request, reply) => {
+    const { req, res } = getExpressObjects(request, reply);
+
+    if (request.validationError) {
+      const { validationContext, validation } = request.validationError;
+      const errors = getValidationErrors(request);
+      return sendValidationError(res, errors.length > 0 ? errors : formatValidationErrors(validationContext, validation));
+    }
+
+    const dispatch = (index, error) => {
+      if (error) {
+        return fail(reply, error);
+      }
+
+      if (index === handlers.length) {
+        return onEnd(request, reply);
+      }
+
+      runHandler(() => handlers[index](req, res, (nextError) => dispatch(index + 1, nextError)), reply);
     };
 
-    const res = {
-      json: (data) => reply.send(data),
-      status: (code) => { reply.code(code); return res; },
-      send: (data) => reply.send(data)
+    dispatch(0);
+  };
+}
+
+/**
+ * Validate every part of a request against its route schema
+ *
+ * Uses the validators Fastify compiled for the route.
+ *
+ * @param {object} request - Fastify request
+ * @returns {Array<object>} Errors from formatValidationErrors(), in validation order
+ * @private
+ */
+function getValidationErrors(request) {
+  return REQUEST_SCHEMA_LOCATIONS.flatMap((location) => {
+    const validate = request.getValidationFunction(location);
+
+    if (typeof validate !== 'function' || validate(request[location] ?? null)) {
+      return [];
+    }
+
+    return formatValidationErrors(location, validate.errors);
+  });
+}
+
+/**
+ * Respond 404 the way Fastify does for unknown routes
+ *
+ * @param {object} request - Fastify request
+ * @param {object} reply - Fastify reply
+ * @returns {void}
+ * @private
+ */
+function sendNotFound(request, reply) {
+  reply.code(404).send({
+    message: `Route ${request.method}:${request.url} not found`,
+    error: 'Not Found',
+    statusCode: 404
+  });
+}
+
+/**
+ * Create a Fastify error handler that runs Express error middleware
+ *
+ * Errors left unhandled by the middleware get Fastify's default response.
+ *
+ * @param {Function[]} handlers - Express error middleware, added to as the app is set up
+ * @returns {Function} Fastify error handler
+ * @private
+ */
+function wrapErrorHandlers(handlers) {
+  return (error, request, reply) => {
+    const { req, res } = getExpressObjects(request, reply);
+
+    const dispatch = (index, currentError) => {
+      // Sending an error from the error handler uses Fastify's default handler
+      if (index === handlers.length || !currentError) {
+        return fail(reply, currentError || error);
+      }
+
+      runHandler(() => handlers[index](currentError, req, res, (nextError) => dispatch(index + 1, nextError)), reply);
     };
 
-    await expressHandler(req, res);
+    dispatch(0, error);
+  };
+}
+
+/**
+ * Run an Express handler, passing thrown and rejected errors to Fastify
+ *
+ * @param {Function} call - Calls the handler
+ * @param {object} reply - Fastify reply
+ * @returns {void}
+ * @private
+ */
+function runHandler(call, reply) {
+  try {
+    const result = call();
+
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, (error) => fail(reply, error));
+    }
+  } catch (error) {
+    fail(reply, error);
+  }
+}
+
+/**
+ * Pass an error to Fastify's error handler, or end a response that has already started
+ *
+ * @param {object} reply - Fastify reply
+ * @param {Error} error - Error
+ * @returns {void}
+ * @private
+ */
+function fail(reply, error) {
+  if (reply.sent) {
+    reply.raw.destroy();
+  } else {
+    reply.send(error);
+  }
+}
+
+// Express req/res of each Fastify request, shared by its route and error handlers
+const expressObjects = new WeakMap();
+
+/**
+ * Get the Express-like req/res of a Fastify request
+ *
+ * @param {object} request - Fastify request
+ * @param {object} reply - Fastify reply
+ * @returns {object} { req, res }
+ * @private
+ */
+function getExpressObjects(request, reply) {
+  if (!expressObjects.has(request)) {
+    const req = createExpressRequest(request);
+    const res = createExpressResponse(reply);
+    req.res = res;
+    res.req = req;
+    expressObjects.set(request, { req, res });
+  }
+
+  return expressObjects.get(request);
+}
+
+/**
+ * Create an Express-like request from a Fastify request
+ *
+ * The request inherits from Node's IncomingMessage, so headers, streams
+ * and anything Express middleware set on it stay available.
+ *
+ * @param {object} request - Fastify request
+ * @returns {object} Request
+ * @private
+ */
+function createExpressRequest(request) {
+  const url = request.raw.originalUrl || request.url;
+  const properties = {
+    id: request.id,
+    log: request.log,
+    method: request.method,
+    url: request.url,
+    originalUrl: url,
+    path: url.split('?')[0],
+    headers: request.headers,
+    body: request.body ?? request.raw.body,
+    query: request.query,
+    params: request.params,
+    ip: request.ip,
+    ips: request.ips,
+    hostname: request.hostname,
+    protocol: request.protocol,
+    secure: request.protocol === 'https',
+    raw: request.raw
+  };
+
+  // Defined rather than assigned, as Express middleware may have given the
+  // raw request getters for some of them
+  const req = Object.create(request.raw, Object.fromEntries(Object.entries(properties).map(([name, value]) => [
+    name,
+    { value, writable: true, enumerable: true, configurable: true }
+  ])));
+
+  req.get = req.header = (name) => {
+    const key = name.toLowerCase();
+    return key === 'referer' || key === 'referrer'
+      ? req.headers.referer || req.headers.referrer
+      : req.headers[key];
   };
+
+  return req;
+}
+
+/**
+ * Create an Express-like response around a Fastify reply
+ *
+ * Writing to the response directly (write(), writeHead(), or piping a
+ * stream into it) takes the response over from Fastify.
+ *
+ * @param {object} reply - Fastify reply
+ * @returns {object} Response
+ * @private
+ */
+function createExpressResponse(reply) {
+  const raw = reply.raw;
+  let hijacked = false;
+
+  // Take the response over from Fastify, keeping the headers set so far
+  const hijack = () => {
+    if (!hijacked) {
+      hijacked = true;
+      reply.hijack();
+
+      if (!raw.headersSent) {
+        raw.statusCode = reply.statusCode;
+
+        for (const [name, value] of Object.entries(reply.getHeaders())) {
+          raw.setHeader(name, value);
+        }
+      }
+    }
+  };
+
+  const res = {
+    locals: {},
+    raw,
+
+    get headersSent() {
+      return reply.sent || raw.headersSent;
+    },
+
+    get statusCode() {
+      return reply.statusCode;
+    },
+
+    set statusCode(code) {
+      reply.code(code);
+    },
+
+    status(code) {
+      reply.code(code);
+      return res;
+    },
+
+    set(name, value) {
+      if (typeof name === 'object') {
+        for (const [key, fieldValue] of Object.entries(name)) {
+          res.set(key, fieldValue);
+        }
+      } else {
+        reply.header(name, Array.isArray(value) ? value.map(String) : String(value));
+      }
+
+      return res;
+    },
+
+    header: (name, value) => res.set(name, value),
+
+    get: (name) => reply.getHeader(name),
+
+    append(name, value) {
+      const previous = reply.getHeader(name);
+      const values = [].concat(previous ?? [], value).map(String);
+      reply.removeHeader(name);
+      reply.header(name, values.length === 1 ? values[0] : values);
+      return res;
+    },
+
+    type(type) {
+      reply.type(type.includes('/') ? type : (CONTENT_TYPES[type.replace(/^\./, '')] || 'application/octet-stream'));
+      return res;
+    },
+
+    location(url) {
+      reply.header('location', url);
+      return res;
+    },
+
+    json(data) {
+      if (!reply.getHeader('content-type')) {
+        reply.type('application/json; charset=utf-8');
+      }
+
+      reply.send(JSON.stringify(data));
+      return res;
+    },
+
+    send(data) {
+      if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data) && typeof data.pipe !== 'function') {
+        return res.json(data);
+      }
+
+      if (!reply.getHeader('content-type')) {
+        if (typeof data === 'string') {
+          reply.type('text/html; charset=utf-8');
+        } else if (Buffer.isBuffer(data)) {
+          reply.type('application/octet-stream');
+        }
+      }
+
+      reply.send(data ?? '');
+      return res;
+    },
+
+    sendStatus(code) {
+      reply.code(code).type('text/plain; charset=utf-8');
+      reply.send(STATUS_CODES[code] || String(code));
+      return res;
+    },
+
+    redirect(status, url) {
+      if (url === undefined) {
+        [status, url] = [302, status];
+      }
+
+      reply.code(status).header('location', url).type('text/plain; charset=utf-8');
+      reply.send(`${STATUS_CODES[status]}. Redirecting to ${url}`);
+      return res;
+    },
+
+    cookie(name, value, cookieOptions = {}) {
+      if (cookieOptions.signed) {
+        throw new Error('Signed cookies are not supported by the Fastify adapter');
+      }
+
+      const serialized = typeof value === 'object' ? `j:${JSON.stringify(value)}` : String(value);
+      reply.header('set-cookie', serializeCookie(name, serialized, cookieOptions));
+      return res;
+    },
+
+    clearCookie(name, cookieOptions = {}) {
+      const { maxAge, ...rest } = cookieOptions;
+      return res.cookie(name, '', { ...rest, expires: new Date(1) });
+    },
+
+    writeHead(code, ...args) {
+      reply.code(code);
+      hijack();
+      raw.writeHead(code, ...args);
+      return res;
+    },
+
+    flushHeaders() {
+      hijack();
+      raw.flushHeaders();
+    },
+
+    write(chunk, ...args) {
+      hijack();
+      return raw.write(chunk, ...args);
+    },
+
+    end(chunk, ...args) {
+      if (hijacked) {
+        raw.end(chunk, ...args);
+      } else {
+        reply.send(chunk ?? '');
+      }
+
+      return res;
+    }
+  };
+
+  // Let streams be piped into the response and listeners see its events
+  for (const method of ['on', 'once', 'off', 'addListener', 'prependListener', 'removeListener', 'emit', 'listenerCount']) {
+    res[method] = (...args) => {
+      const result = raw[method](...args);
+      return result === raw ? res : result;
+    };
+  }
+
+  return res;
 }
 
 /**
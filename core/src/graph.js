@@ -0,0 +1,342 @@
+/**
+ * Dependency graph utilities for the module system
+ *
+ * Builds the dependency graph of registered modules, orders it so that
+ * every module comes after its dependencies, and renders it for humans.
+ */
+
+import { isValidRange, parseVersion, satisfies } from './semver.js';
+
+/**
+ * Build and topologically sort the dependency graph of a set of modules
+ *
+ * Optional dependencies that are not registered are left out of the graph.
+ *
+ * @param {object} modules - Registered modules keyed by name
+ * @returns {object} Graph with nodes, edges and initialization order
+ * @throws {Error} If a dependency is missing, has an incompatible version,
+ *   or the graph contains a cycle
+ */
+export function buildDependencyGraph(modules) {
+  const nodes = [];
+  const edges = [];
+
+  for (const [name, module] of Object.entries(modules)) {
+    nodes.push({ name, id: module.id, label: module.name, version: module.version });
+
+    for (const dep of getModuleDependencies(module)) {
+      if (!modules[dep.name]) {
+        if (dep.optional) {
+          continue;
+        }
+
+        const error = new Error(`Dependency "${dep.name}" required by "${name}" is not registered`);
+        error.module = name;
+        throw error;
+      }
+
+      assertDependencyVersion(name, dep, modules[dep.name]);
+      edges.push({ from: name, to: dep.name, optional: dep.optional, range: dep.range });
+    }
+  }
+
+  return { nodes, edges, order: sortTopologically(modules) };
+}
+
+/**
+ * Check that a module and the registry agree on versions in both directions
+ *
+ * Validates the module's own version and ranges, the versions of the
+ * registered modules it depends on, and the ranges other registered modules
+ * place on it.
+ *
+ * @param {string} name - Name the module is registered under
+ * @param {object} module - Module definition
+ * @param {object} modules - Other registered modules keyed by name
+ * @returns {void}
+ * @throws {Error} If any version constraint is not satisfied
+ */
+export function assertCompatibleVersions(name, module, modules) {
+  if (module.version !== undefined && !parseVersion(module.version)) {
+    const error = new Error(`Module "${name}" has an invalid version "${module.version}"`);
+    error.module = name;
+    throw error;
+  }
+
+  for (const dep of getModuleDependencies(module)) {
+    if (dep.range !== undefined && !isValidRange(dep.range)) {
+      const error = new Error(`Module "${name}" has an invalid version range "${dep.range}" for "${dep.name}"`);
+      error.module = name;
+      throw error;
+    }
+
+    if (modules[dep.name]) {
+      assertDependencyVersion(name, dep, modules[dep.name]);
+    }
+  }
+
+  for (const [otherName, other] of Object.entries(modules)) {
+    const dep = getModuleDependencies(other).find(d => d.name === name);
+
+    if (dep) {
+      assertDependencyVersion(otherName, dep, module);
+    }
+  }
+}
+
+/**
+ * Check that a dependency's version satisfies the range declared for it
+ *
+ * @param {string} name - Dependent module name
+ * @param {object} dep - Normalized dependency
+ * @param {object} target - The module definition the dependency resolves to
+ * @returns {void}
+ * @throws {Error} If the version is missing or out of range
+ * @private
+ */
+function assertDependencyVersion(name, dep, target) {
+  if (dep.range === undefined || dep.range === '*') {
+    return;
+  }
+
+  let reason = null;
+  if (target.version === undefined) {
+    reason = `"${dep.name}" does not declare a version`;
+  } else if (!satisfies(target.version, dep.range)) {
+    reason = `version ${target.version} is registered`;
+  }
+
+  if (reason) {
+    const error = new Error(`Module "${name}" requires "${dep.name}" ${dep.range} but ${reason}`);
+    error.module = name;
+    error.dependency = dep.name;
+    throw error;
+  }
+}
+
+/**
+ * Get the declared dependencies of a module in normalized form
+ *
+ * `dependencies` and `optionalDependencies` may each be an array of module
+ * names or an object mapping module names to semver ranges.
+ *
+ * @param {object} module - Module definition
+ * @returns {Array<object>} Dependencies as { name, range, optional }
+ */
+export function getModuleDependencies(module) {
+  return [
+    ...normalizeDependencies(module.dependencies, false),
+    ...normalizeDependencies(module.optionalDependencies, true)
+  ];
+}
+
+/**
+ * Normalize a dependency list or range map
+ *
+ * @param {string[]|object} dependencies - Declared dependencies
+ * @param {boolean} optional - Whether the dependencies are optional
+ * @returns {Array<object>} Dependencies as { name, range, optional }
+ * @private
+ */
+function normalizeDependencies(dependencies, optional) {
+  if (Array.isArray(dependencies)) {
+    return dependencies.map(name => ({ name, range: undefined, optional }));
+  }
+
+  if (dependencies && typeof dependencies === 'object') {
+    return Object.entries(dependencies).map(([name, range]) => ({ name, range, optional }));
+  }
+
+  return [];
+}
+
+/**
+ * Order modules so that each one comes after all of its dependencies
+ *
+ * Uses a depth-first search so that a cycle can be reported as the exact
+ * path that closes it, e.g. auth -> users -> auth.
+ *
+ * @param {object} modules - Registered modules keyed by name
+ * @returns {string[]} Module names in initialization order
+ * @throws {Error} If the graph contains a cycle
+ * @private
+ */
+function sortTopologically(modules) {
+  const order = [];
+  const visited = new Set();
+  const path = [];
+
+  const visit = (name) => {
+    if (visited.has(name)) {
+      return;
+    }
+
+    const index = path.indexOf(name);
+    if (index !== -1) {
+      const cycle = [...path.slice(index), name];
+      const error = new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+      error.module = name;
+      error.cycle = cycle;
+      throw error;
+    }
+
+    path.push(name);
+
+    for (const dep of getModuleDependencies(modules[name])) {
+      if (modules[dep.name]) {
+        visit(dep.name);
+      }
+    }
+
+    path.pop();
+    visited.add(name);
+    order.push(name);
+  };
+
+  for (const name of Object.keys(modules)) {
+    visit(name);
+  }
+
+  return order;
+}
+
+/**
+ * Run a task for every module in the graph, respecting dependency order
+ *
+ * A module's task starts only after the tasks of all its dependencies have
+ * finished (or, in reverse mode, after all its dependents have finished).
+ * Modules with no dependency relationship run concurrently up to the
+ * concurrency limit. After the first failure no new tasks are started; the
+ * returned promise rejects with that error once running tasks settle.
+ *
+ * @param {object} graph - Graph returned by buildDependencyGraph()
+ * @param {Function} task - Async function called with each module name
+ * @param {object} options - Run options
+ * @param {number} options.concurrency - Maximum number of concurrent tasks
+ * @param {boolean} options.reverse - Run dependents before their dependencies
+ * @returns {Promise<void>}
+ */
+export function runInDependencyOrder(graph, task, options = {}) {
+  const { concurrency = Infinity, reverse = false } = options;
+  const limit = concurrency > 0 ? concurrency : Infinity;
+
+  // Names that must finish before each module may start
+  const blockers = new Map(graph.order.map(name => [name, []]));
+  for (const { from, to } of graph.edges) {
+    if (blockers.has(from) && blockers.has(to)) {
+      if (reverse) {
+        blockers.get(to).push(from);
+      } else {
+        blockers.get(from).push(to);
+      }
+    }
+  }
+
+  const pending = reverse ? [...graph.order].reverse() : [...graph.order];
+  const done = new Set();
+  let running = 0;
+  let failure = null;
+
+  return new Promise((resolve, reject) => {
+    const schedule = () => {
+      if (failure) {
+        if (running === 0) {
+          reject(failure);
+        }
+        return;
+      }
+
+      if (pending.length === 0 && running === 0) {
+        resolve();
+        return;
+      }
+
+      for (let i = 0; i < pending.length && running < limit;) {
+        const name = pending[i];
+
+        if (!blockers.get(name).every(dep => done.has(dep))) {
+          i++;
+          continue;
+        }
+
+        pending.splice(i, 1);
+        running++;
+
+        Promise.resolve()
+          .then(() => task(name))
+          .then(() => {
+            done.add(name);
+          }, (error) => {
+            failure = failure || error;
+          })
+          .finally(() => {
+            running--;
+            schedule();
+          });
+      }
+    };
+
+    schedule();
+  });
+}
+
+/**
+ * Render a dependency graph in Graphviz DOT format
+ *
+ * @param {object} graph - Graph returned by buildDependencyGraph()
+ * @returns {string} DOT source
+ */
+export function toDot(graph) {
+  const lines = ['digraph modules {', '  rankdir=LR;'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  "${node.name}" [label="${escapeLabel(node.label || node.name)}"];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = [];
+    if (edge.range) attributes.push(`label="${escapeLabel(edge.range)}"`);
+    if (edge.optional) attributes.push('style=dashed');
+
+    const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    lines.push(`  "${edge.from}" -> "${edge.to}"${suffix};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render a dependency graph as a Mermaid flowchart
+ *
+ * @param {object} graph - Graph returned by buildDependencyGraph()
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(graph) {
+  const ids = new Map(graph.nodes.map((node, index) => [node.name, `m${index}`]));
+  const lines = ['graph TD'];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.name)}["${String(node.label || node.name).replace(/"/g, '#quot;')}"]`);
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.optional ? '-.->' : '-->';
+    const label = edge.optional ? 'optionally depends on' : 'depends on';
+    const range = edge.range ? ` ${edge.range}` : '';
+    lines.push(`  ${ids.get(edge.from)} ${arrow} |${label}${range}| ${ids.get(edge.to)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape double quotes in a DOT node label
+ *
+ * @param {string} label - Node label
+ * @returns {string} Escaped label
+ * @private
+ */
+function escapeLabel(label) {
+  return String(label).replace(/"/g, '\\"');
+}
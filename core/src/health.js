@@ -0,0 +1,192 @@
+/**
+ * Health and readiness reporting
+ *
+ * Aggregates the optional `healthCheck(context)` and `readinessCheck(context)`
+ * functions of initialized modules into liveness and readiness reports, and
+ * serves them over HTTP for container orchestrators such as Kubernetes.
+ *
+ * A check may return nothing or `true` (up), `false` (down), or an object
+ * with a `status` of 'up' or 'down' plus any details to include in the
+ * report. A check that throws or times out is reported as down.
+ */
+
+import { withTimeout } from './utils.js';
+
+const DEFAULT_OPTIONS = {
+  path: '/health',
+  readyPath: '/ready',
+  timeout: 2000,
+  cacheTtl: 1000
+};
+
+/**
+ * Create a health monitor
+ *
+ * @param {object} options - Health options
+ * @param {Function} options.getChecks - Returns [{ name, check }] for the given kind
+ * @param {number} options.timeout - Per-check timeout in ms (default: 2000)
+ * @param {number} options.cacheTtl - How long a report is reused in ms (default: 1000)
+ * @param {string} options.path - Liveness route (default: '/health')
+ * @param {string} options.readyPath - Readiness route (default: '/ready')
+ * @returns {object} Health monitor
+ */
+export function createHealthMonitor(options = {}) {
+  let settings = { ...DEFAULT_OPTIONS, ...options };
+  const cache = {};
+  let ready = false;
+
+  /**
+   * Update the monitor options
+   *
+   * Route paths only take effect for routes mounted afterwards.
+   *
+   * @param {object} newOptions - Options to change (timeout, cacheTtl, path, readyPath)
+   * @returns {void}
+   */
+  function configure(newOptions = {}) {
+    settings = { ...settings, ...newOptions };
+    delete cache.liveness;
+    delete cache.readiness;
+  }
+
+  /**
+   * Get the report for one kind of check, reusing a recent one if cached
+   *
+   * @param {string} kind - 'liveness' or 'readiness'
+   * @returns {Promise<object>} Report
+   * @private
+   */
+  function runChecks(kind) {
+    const cached = cache[kind];
+    if (cached && Date.now() - cached.at < settings.cacheTtl) {
+      return cached.report;
+    }
+
+    // Concurrent requests share one run of the checks
+    const report = aggregate(kind);
+    cache[kind] = { at: Date.now(), report };
+    return report;
+  }
+
+  /**
+   * Run the checks of one kind and build the report
+   *
+   * @param {string} kind - 'liveness' or 'readiness'
+   * @returns {Promise<object>} Report
+   * @private
+   */
+  async function aggregate(kind) {
+    const checks = settings.getChecks(kind);
+    const results = await Promise.all(checks.map(({ name, check }) => runCheck(name, check, settings.timeout)));
+    const modules = Object.fromEntries(results.map(({ name, ...result }) => [name, result]));
+
+    let status = results.every(result => result.status === 'up') ? 'up' : 'down';
+    if (kind === 'readiness' && !ready) {
+      status = 'down';
+    }
+
+    return {
+      status,
+      ...(kind === 'readiness' ? { ready: status === 'up' } : {}),
+      timestamp: new Date().toISOString(),
+      modules
+    };
+  }
+
+  /**
+   * Get the liveness report
+   *
+   * @returns {Promise<object>} Report with overall status and per-module results
+   */
+  function liveness() {
+    return runChecks('liveness');
+  }
+
+  /**
+   * Get the readiness report
+   *
+   * Not ready until initialization completes and once shutdown begins,
+   * regardless of module checks.
+   *
+   * @returns {Promise<object>} Report with overall status and per-module results
+   */
+  function readiness() {
+    return runChecks('readiness');
+  }
+
+  /**
+   * Mark the application as ready or not ready
+   *
+   * @param {boolean} value - Readiness flag
+   * @returns {void}
+   */
+  function setReady(value) {
+    ready = Boolean(value);
+    delete cache.readiness;
+  }
+
+  /**
+   * Check the readiness flag without running module checks
+   *
+   * @returns {boolean} True once initialization has completed
+   */
+  function isReady() {
+    return ready;
+  }
+
+  /**
+   * Mount the liveness and readiness routes on an app
+   *
+   * Responds 200 when up and 503 when down, with the report as JSON.
+   *
+   * @param {object} app - Express or compatible app instance
+   * @returns {void}
+   */
+  function mount(app) {
+    const respond = (getReport) => async (req, res) => {
+      const report = await getReport();
+      res.status(report.status === 'up' ? 200 : 503).json(report);
+    };
+
+    app.get(settings.path, respond(liveness));
+    app.get(settings.readyPath, respond(readiness));
+  }
+
+  return { configure, liveness, readiness, setReady, isReady, mount };
+}
+
+/**
+ * Run a single module check with a timeout
+ *
+ * @param {string} name - Module name
+ * @param {Function} check - Check function
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<object>} Result with name, status and duration
+ * @private
+ */
+async function runCheck(name, check, timeout) {
+  const startedAt = Date.now();
+
+  try {
+    const result = await withTimeout(
+      Promise.resolve().then(check),
+      timeout,
+      `Check did not complete within ${timeout}ms`
+    );
+
+    const duration = Date.now() - startedAt;
+
+    if (result === false) {
+      return { name, status: 'down', duration };
+    }
+
+    if (result && typeof result === 'object') {
+      const { status = 'up', ...details } = result;
+      return { name, status: status === 'down' ? 'down' : 'up', duration, details };
+    }
+
+    return { name, status: 'up', duration };
+  } catch (error) {
+    return { name, status: 'down', duration: Date.now() - startedAt, error: error.message };
+  }
+}
@@ -0,0 +1,719 @@
+/**
+ * Express-compatible apps on Node's HTTP server
+ *
+ * A small router with Express's routing, middleware and req/res API, used
+ * by the zero-dependency 'http' adapter and by the Koa adapter, which hands
+ * each request from Koa's middleware to it. It covers what modules rely
+ * on: path parameters, mounted middleware, error middleware, JSON and
+ * URL-encoded bodies, and the usual response helpers. Query strings and
+ * URL-encoded bodies are parsed flat (`a[b]=1` is the key 'a[b]').
+ */
+
+import http from 'http';
+import { getDefaultLogger } from './logger.js';
+
+// Content types for the short names accepted by res.type()
+export const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  xml: 'application/xml',
+  form: 'application/x-www-form-urlencoded',
+  bin: 'application/octet-stream'
+};
+
+// Default maximum size of a parsed request body, as in Express
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+// Methods routes can be registered for
+const ROUTE_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+/**
+ * Create an Express-compatible app served by Node's HTTP server
+ *
+ * @param {object} options - App options
+ * @param {object} options.logger - Logger for unhandled errors (default: the default logger)
+ * @returns {object} App with use, all, the route methods, handle, listen and close
+ */
+export function createHttpApp(options = {}) {
+  const app = createCompatApp(options);
+  const server = http.createServer((req, res) => app.handle(req, res));
+
+  app.listen = (...args) => server.listen(...args);
+  app.close = () => closeServer(server);
+
+  // Provide direct access to the underlying HTTP server
+  app._raw = server;
+
+  return app;
+}
+
+/**
+ * Create an Express-compatible app on top of a Koa application
+ *
+ * Requests go through Koa's middleware (added with `app._raw.use()`) first,
+ * then through the app's routes and middleware, which respond directly.
+ *
+ * @param {object} options - App options
+ * @param {object} options.logger - Logger for unhandled errors (default: the default logger)
+ * @returns {Promise<object>} App with use, all, the route methods, handle, listen and close
+ */
+export async function createKoaApp(options = {}) {
+  const Koa = (await import('koa')).default;
+  const koa = new Koa();
+  const app = createCompatApp(options);
+  const servers = new Set();
+
+  koa.use((ctx) => new Promise((resolve) => {
+    // The response is written by the app, not by Koa, starting from
+    // Express's default status rather than Koa's 404
+    ctx.respond = false;
+    ctx.res.statusCode = 200;
+    ctx.res.once('close', resolve);
+    app.handle(ctx.req, ctx.res);
+  }));
+
+  app.listen = (...args) => {
+    const server = koa.listen(...args);
+    servers.add(server);
+    return server;
+  };
+
+  app.close = async () => {
+    await Promise.all(Array.from(servers, closeServer));
+    servers.clear();
+  };
+
+  // Provide direct access to the underlying Koa application
+  app._raw = koa;
+
+  return app;
+}
+
+/**
+ * Create middleware that parses JSON and URL-encoded request bodies
+ *
+ * Like Express's body parsers, it sets `req.body` to {} when there is
+ * nothing to parse, and fails with 400 for malformed JSON and 413 for
+ * bodies over the limit.
+ *
+ * @param {object} options - Parser options
+ * @param {number} options.limit - Maximum body size in bytes (default: 100kb)
+ * @returns {Function} Middleware
+ */
+export function createBodyParser(options = {}) {
+  const limit = options.limit ?? DEFAULT_BODY_LIMIT;
+
+  return (req, res, next) => {
+    req.body = req.body || {};
+
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const isJson = type === 'application/json' || type.endsWith('+json');
+    const hasBody = req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+
+    if (!hasBody || (!isJson && type !== 'application/x-www-form-urlencoded')) {
+      return next();
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+
+      if (size > limit && !failed) {
+        failed = true;
+        req.resume();
+        next(createHttpError(413, 'Request entity too large'));
+      } else if (!failed) {
+        chunks.push(chunk);
+      }
+    });
+
+    req.on('end', () => {
+      if (failed) {
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8');
+
+      try {
+        req.body = isJson ? (text ? JSON.parse(text) : {}) : parseParams(text);
+      } catch (error) {
+        return next(createHttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+
+      next();
+    });
+
+    req.on('error', next);
+  };
+}
+
+/**
+ * Serialize a Set-Cookie header value the way Express does
+ *
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {object} options - Express cookie options (maxAge in ms, expires, path, domain, httpOnly, secure, sameSite, partitioned, priority)
+ * @returns {string} Header value
+ */
+export function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  let expires = options.expires;
+
+  if (options.maxAge !== undefined && options.maxAge !== null) {
+    parts.push(`Max-Age=${Math.floor(options.maxAge / 1000)}`);
+    expires = new Date(Date.now() + options.maxAge);
+  }
+
+  if (options.domain) {
+    parts.push(`Domain=${options.domain}`);
+  }
+
+  parts.push(`Path=${options.path || '/'}`);
+
+  if (expires) {
+    parts.push(`Expires=${expires.toUTCString()}`);
+  }
+
+  if (options.httpOnly) {
+    parts.push('HttpOnly');
+  }
+
+  if (options.secure) {
+    parts.push('Secure');
+  }
+
+  if (options.partitioned) {
+    parts.push('Partitioned');
+  }
+
+  if (options.priority) {
+    parts.push(`Priority=${capitalize(options.priority)}`);
+  }
+
+  if (options.sameSite) {
+    parts.push(`SameSite=${capitalize(options.sameSite === true ? 'strict' : String(options.sameSite))}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Create the routing core shared by the HTTP and Koa apps
+ *
+ * Layers are kept in `app.router.stack`, in the order they were added, so
+ * the module system can remove and remount a module's routes.
+ *
+ * @param {object} options - App options
+ * @returns {object} App without listen and close
+ * @private
+ */
+function createCompatApp(options) {
+  const stack = [];
+
+  const addRoute = (method, path, handlers) => {
+    const route = { path };
+    const match = compilePath(path, true);
+
+    for (const handler of handlers.flat()) {
+      stack.push({ method, route, match, handle: handler });
+    }
+
+    return app;
+  };
+
+  const app = {
+    router: { stack },
+
+    /**
+     * Add middleware, optionally mounted on a path
+     *
+     * Middleware with four parameters handles errors.
+     *
+     * @param {string|Function} path - Mount path, or the first middleware
+     * @param {...Function} handlers - Middleware
+     * @returns {object} The app
+     */
+    use(path, ...handlers) {
+      const mountPath = typeof path === 'string' ? path : '/';
+      const middleware = typeof path === 'string' ? handlers : [path, ...handlers];
+
+      for (const handler of middleware.flat()) {
+        stack.push({ method: null, mountPath, match: compilePath(mountPath, false), handle: handler });
+      }
+
+      return app;
+    },
+
+    all: (path, ...handlers) => addRoute('ALL', path, handlers),
+
+    /**
+     * Handle a request
+     *
+     * @param {object} req - Node request
+     * @param {object} res - Node response
+     * @returns {void}
+     */
+    handle(req, res) {
+      Object.setPrototypeOf(req, requestPrototype);
+      Object.setPrototypeOf(res, responsePrototype);
+
+      const [, search = ''] = req.url.split(/\?(.*)/s);
+      req.originalUrl = req.originalUrl || req.url;
+      req.baseUrl = '';
+      req.params = {};
+      req.query = parseParams(search);
+      req.res = res;
+      res.req = req;
+      res.locals = res.locals || {};
+
+      dispatch(stack, req, res, (error) => finish(req, res, error, options));
+    }
+  };
+
+  for (const method of ROUTE_METHODS) {
+    app[method] = (path, ...handlers) => addRoute(method.toUpperCase(), path, handlers);
+  }
+
+  return app;
+}
+
+/**
+ * Run a request through the layers of an app
+ *
+ * @param {Array<object>} stack - Layers
+ * @param {object} req - Request
+ * @param {object} res - Response
+ * @param {Function} done - Called with any error when no layer handled the request
+ * @returns {void}
+ * @private
+ */
+function dispatch(stack, req, res, done) {
+  let index = 0;
+  let removed = '';
+  let slashAdded = false;
+  let currentRoute = null;
+
+  const next = (error) => {
+    // Undo the path changes of the previous mounted middleware
+    if (slashAdded) {
+      req.url = req.url.slice(1);
+      slashAdded = false;
+    }
+
+    if (removed) {
+      req.baseUrl = req.baseUrl.slice(0, -removed.length);
+      req.url = removed + req.url;
+      removed = '';
+    }
+
+    // next('route') skips the remaining handlers of the current route
+    const skipRoute = error === 'route' ? currentRoute : null;
+    const currentError = error === 'route' ? undefined : error;
+    const pathname = req.url.split('?')[0];
+
+    while (index < stack.length) {
+      const layer = stack[index++];
+
+      if (skipRoute && layer.route === skipRoute) {
+        continue;
+      }
+
+      if (layer.method && !matchesMethod(layer.method, req.method)) {
+        continue;
+      }
+
+      if (Boolean(currentError) !== (layer.handle.length === 4)) {
+        continue;
+      }
+
+      const match = layer.match(pathname);
+      if (!match) {
+        continue;
+      }
+
+      let params;
+      try {
+        params = decodeParams(match.params);
+      } catch (decodeError) {
+        return next(createHttpError(400, `Failed to decode parameter: ${decodeError.message}`));
+      }
+
+      if (layer.route) {
+        // Handlers of one route share its params, as in Express
+        if (layer.route !== currentRoute) {
+          req.params = params;
+        }
+
+        currentRoute = layer.route;
+        req.route = { path: layer.route.path };
+      } else if (match.path) {
+        // Mounted middleware sees paths relative to its mount path
+        removed = match.path;
+        req.baseUrl += removed;
+        req.url = req.url.slice(removed.length);
+
+        if (!req.url.startsWith('/')) {
+          req.url = `/${req.url}`;
+          slashAdded = true;
+        }
+      }
+
+      return call(layer.handle, currentError, req, res, next);
+    }
+
+    done(currentError);
+  };
+
+  next();
+}
+
+/**
+ * Call a middleware or handler, passing thrown and rejected errors to next
+ *
+ * @param {Function} handle - Middleware, handler or error middleware
+ * @param {Error} error - Error being handled, if any
+ * @param {object} req - Request
+ * @param {object} res - Response
+ * @param {Function} next - Next function
+ * @returns {void}
+ * @private
+ */
+function call(handle, error, req, res, next) {
+  try {
+    const result = error ? handle(error, req, res, next) : handle(req, res, next);
+
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, (rejection) => next(rejection ?? new Error('Handler rejected')));
+    }
+  } catch (thrown) {
+    next(thrown);
+  }
+}
+
+/**
+ * Respond to a request no layer handled
+ *
+ * @param {object} req - Request
+ * @param {object} res - Response
+ * @param {Error} error - Unhandled error, if any
+ * @param {object} options - App options
+ * @returns {void}
+ * @private
+ */
+function finish(req, res, error, options) {
+  const errorStatus = error?.statusCode || error?.status;
+  const status = error ? (errorStatus >= 400 && errorStatus < 600 ? errorStatus : 500) : 404;
+
+  if (error && status >= 500) {
+    (options.logger || getDefaultLogger()).error('Unhandled request error', error);
+  }
+
+  if (res.headersSent) {
+    req.socket.destroy();
+    return;
+  }
+
+  const body = error ? http.STATUS_CODES[status] : `Cannot ${req.method} ${req.originalUrl.split('?')[0]}`;
+
+  for (const name of res.getHeaderNames()) {
+    res.removeHeader(name);
+  }
+
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Request methods added to Node requests, as Express does
+const requestPrototype = Object.create(http.IncomingMessage.prototype, {
+  path: {
+    get() {
+      return this.url.split('?')[0];
+    }
+  },
+  protocol: {
+    get() {
+      return this.socket?.encrypted ? 'https' : 'http';
+    }
+  },
+  secure: {
+    get() {
+      return this.protocol === 'https';
+    }
+  },
+  hostname: {
+    get() {
+      return (this.headers.host || '').replace(/:\d+$/, '');
+    }
+  },
+  ip: {
+    get() {
+      return this.socket?.remoteAddress;
+    }
+  }
+});
+
+requestPrototype.get = requestPrototype.header = function get(name) {
+  const key = name.toLowerCase();
+  return key === 'referer' || key === 'referrer'
+    ? this.headers.referer || this.headers.referrer
+    : this.headers[key];
+};
+
+// Response methods added to Node responses, as Express does
+const responsePrototype = Object.create(http.ServerResponse.prototype);
+
+Object.assign(responsePrototype, {
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+
+  set(name, value) {
+    if (typeof name === 'object') {
+      for (const [key, fieldValue] of Object.entries(name)) {
+        this.set(key, fieldValue);
+      }
+    } else {
+      this.setHeader(name, Array.isArray(value) ? value.map(String) : String(value));
+    }
+
+    return this;
+  },
+
+  header(name, value) {
+    return this.set(name, value);
+  },
+
+  get(name) {
+    return this.getHeader(name);
+  },
+
+  append(name, value) {
+    const values = [].concat(this.getHeader(name) ?? [], value).map(String);
+    this.setHeader(name, values.length === 1 ? values[0] : values);
+    return this;
+  },
+
+  type(type) {
+    return this.set('Content-Type', type.includes('/') ? type : (CONTENT_TYPES[type.replace(/^\./, '')] || CONTENT_TYPES.bin));
+  },
+
+  location(url) {
+    return this.set('Location', url);
+  },
+
+  json(data) {
+    if (!this.getHeader('Content-Type')) {
+      this.type('json');
+    }
+
+    return this.send(JSON.stringify(data));
+  },
+
+  send(data) {
+    if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) {
+      return this.json(data);
+    }
+
+    if (!this.getHeader('Content-Type')) {
+      if (typeof data === 'string') {
+        this.type('html');
+      } else if (Buffer.isBuffer(data)) {
+        this.type('bin');
+      }
+    }
+
+    let body = data ?? '';
+
+    if (this.statusCode === 204 || this.statusCode === 304) {
+      this.removeHeader('Content-Type');
+      body = '';
+    }
+
+    this.setHeader('Content-Length', Buffer.byteLength(body));
+    this.end(this.req?.method === 'HEAD' ? undefined : body);
+    return this;
+  },
+
+  sendStatus(code) {
+    this.statusCode = code;
+    return this.type('text').send(http.STATUS_CODES[code] || String(code));
+  },
+
+  redirect(status, url) {
+    if (url === undefined) {
+      [status, url] = [302, status];
+    }
+
+    this.statusCode = status;
+    return this.location(url).type('text').send(`${http.STATUS_CODES[status]}. Redirecting to ${url}`);
+  },
+
+  cookie(name, value, cookieOptions = {}) {
+    if (cookieOptions.signed) {
+      throw new Error('Signed cookies are not supported by this adapter');
+    }
+
+    const serialized = typeof value === 'object' ? `j:${JSON.stringify(value)}` : String(value);
+    return this.append('Set-Cookie', serializeCookie(name, serialized, cookieOptions));
+  },
+
+  clearCookie(name, cookieOptions = {}) {
+    const { maxAge, ...rest } = cookieOptions;
+    return this.cookie(name, '', { ...rest, expires: new Date(1) });
+  }
+});
+
+/**
+ * Compile an Express route path to a matcher
+ *
+ * Supports `:name` parameters, optional `/:name?` segments and `*`
+ * wildcards; matching ignores case and a trailing slash.
+ *
+ * @param {string} path - Route or mount path
+ * @param {boolean} end - Whether the whole path must match (routes) or only a prefix (mounted middleware)
+ * @returns {Function} Matcher returning { path, params } or null
+ * @private
+ */
+function compilePath(path, end) {
+  const keys = [];
+  let wildcards = 0;
+
+  const source = path.replace(/\/+$/, '').replace(/\/:(\w+)\?|:(\w+)|\*|[.+?^${}()|[\]\\]/g, (token, optional, name) => {
+    if (optional) {
+      keys.push(optional);
+      return '(?:/([^/]+?))?';
+    }
+
+    if (name) {
+      keys.push(name);
+      return '([^/]+?)';
+    }
+
+    if (token === '*') {
+      keys.push(String(wildcards++));
+      return '(.*)';
+    }
+
+    return `\\${token}`;
+  });
+
+  const pattern = new RegExp(end ? `^${source}\\/?$` : `^${source}(?=\\/|$)`, 'i');
+
+  return (pathname) => {
+    const match = pattern.exec(pathname);
+
+    if (!match) {
+      return null;
+    }
+
+    const params = {};
+    keys.forEach((key, index) => {
+      if (match[index + 1] !== undefined) {
+        params[key] = match[index + 1];
+      }
+    });
+
+    return { path: match[0], params };
+  };
+}
+
+/**
+ * Decode matched path parameters
+ *
+ * @param {object} params - Raw parameters
+ * @returns {object} Decoded parameters
+ * @throws {URIError} If a parameter is not valid percent-encoding
+ * @private
+ */
+function decodeParams(params) {
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, decodeURIComponent(value)]));
+}
+
+/**
+ * Parse a query string or URL-encoded body; repeated keys become arrays
+ *
+ * @param {string} text - Encoded parameters
+ * @returns {object} Parameters
+ * @private
+ */
+function parseParams(text) {
+  const params = {};
+
+  for (const [key, value] of new URLSearchParams(text)) {
+    if (key === '__proto__') {
+      continue;
+    }
+
+    params[key] = Object.hasOwn(params, key) ? [].concat(params[key], value) : value;
+  }
+
+  return params;
+}
+
+/**
+ * Check whether a layer's method applies to a request method
+ *
+ * @param {string} layerMethod - Upper-case layer method or 'ALL'
+ * @param {string} requestMethod - Request method
+ * @returns {boolean} True if the layer applies
+ * @private
+ */
+function matchesMethod(layerMethod, requestMethod) {
+  return layerMethod === 'ALL' ||
+    layerMethod === requestMethod ||
+    (layerMethod === 'GET' && requestMethod === 'HEAD');
+}
+
+/**
+ * Create an error with an HTTP status
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status and statusCode
+ * @private
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = error.statusCode = status;
+  return error;
+}
+
+/**
+ * Close an HTTP server, resolving once it has stopped
+ *
+ * @param {object} server - HTTP server
+ * @returns {Promise<void>}
+ * @private
+ */
+function closeServer(server) {
+  return new Promise((resolve, reject) => {
+    if (!server.listening) {
+      resolve();
+      return;
+    }
+
+    server.close(error => (error ? reject(error) : resolve()));
+    server.closeIdleConnections?.();
+  });
+}
+
+/**
+ * Capitalize a cookie attribute value
+ *
+ * @param {string} value - Value
+ * @returns {string} Capitalized value
+ * @private
+ */
+function capitalize(value) {
+  return `${value[0].toUpperCase()}${value.slice(1).toLowerCase()}`;
+}
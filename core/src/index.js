@@ -4,6 +4,23 @@
  *
  * This enhanced version includes:
  * - Module registration and lifecycle management
+ * - Module discovery from package manifests
+ * - Dependency graph resolution and visualization
+ * - Semantic version constraints between modules
+ * - Layered configuration loading and per-module configuration schemas
+ * - Structured logging with child loggers, redaction and request ids
+ * - Event bus for decoupled module communication
+ * - Scheduled jobs declared by modules
+ * - Feature flags and per-environment module switches
+ * - Service boundaries between modules
+ * - Scoped module routers with route prefixes and conflict detection
+ * - API versioning with header negotiation and deprecation headers
+ * - JSON Schema validation of route requests
+ * - Request scope with request-scoped services
+ * - Health and readiness reporting
+ * - Prometheus metrics for HTTP routes and module lifecycles
+ * - Graceful shutdown on termination signals
+ * - Application state store with subscriptions and persistence
  * - Framework adapters with extended capabilities
  * - Utility functions for common operations
  */
@@ -11,6 +28,57 @@
 // Export modules system
 export * from './modules.js';
 
+// Export module discovery
+export * from './discovery.js';
+
+// Export dependency graph utilities
+export * from './graph.js';
+
+// Export semantic versioning helpers
+export * from './semver.js';
+
+// Export configuration helpers
+export * from './config.js';
+
+// Export logger
+export * from './logger.js';
+
+// Export event bus
+export * from './events.js';
+
+// Export scheduled jobs
+export * from './jobs.js';
+
+// Export feature flags
+export * from './features.js';
+
+// Export service boundary helpers
+export * from './boundaries.js';
+
+// Export module routers
+export * from './router.js';
+
+// Export API versioning
+export * from './versioning.js';
+
+// Export request validation
+export * from './validation.js';
+
+// Export request scope
+export * from './request-scope.js';
+
+// Export health monitoring
+export * from './health.js';
+
+// Export metrics
+export * from './metrics.js';
+
+// Export graceful shutdown
+export * from './shutdown.js';
+
+// Export state store
+export * from './state.js';
+
 // Export framework adapters
 export * from './framework.js';
 
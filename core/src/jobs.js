@@ -0,0 +1,463 @@
+/**
+ * Scheduled jobs
+ *
+ * Modules declare periodic work as `jobs`, each with a cron expression or a
+ * fixed interval:
+ *
+ *   jobs: {
+ *     purgeSessions: {
+ *       interval: 60000,
+ *       handler: (context) => purgeExpiredSessions()
+ *     },
+ *     report: {
+ *       schedule: '0 3 * * *',
+ *       timeout: 30000,
+ *       handler: async (context, run) => sendReport()
+ *     }
+ *   }
+ *
+ * Jobs start once the application has initialized and stop before their
+ * module shuts down. A job never overlaps with itself: a scheduled run that
+ * comes due while the previous one is still going is skipped. Each job keeps
+ * the status and duration of its last run.
+ *
+ * Cron expressions have five fields (minute, hour, day of month, month, day
+ * of week) supporting `*`, lists, ranges and steps, evaluated in local time.
+ */
+
+import { getDefaultLogger } from './logger.js';
+import { withTimeout } from './utils.js';
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Create a job scheduler
+ *
+ * @param {object} options - Scheduler options
+ * @param {Function} options.runInScope - Runs a job as (fn, init), e.g. inside a request scope
+ * @returns {object} Scheduler with register, unregister, start, stop, trigger and list
+ */
+export function createJobScheduler(options = {}) {
+  const runInScope = options.runInScope || (fn => fn());
+  const jobs = new Map();
+  let started = false;
+
+  /**
+   * Register the jobs a module declares
+   *
+   * If the scheduler is already started the jobs are scheduled immediately.
+   *
+   * @param {string} owner - Module name
+   * @param {object} definitions - Job definitions keyed by job name
+   * @param {object} context - Context passed to the job handlers
+   * @returns {void}
+   * @throws {Error} If a job definition is invalid
+   */
+  function register(owner, definitions, context) {
+    const owned = Object.entries(definitions).map(([jobName, definition]) =>
+      createJob(owner, jobName, definition, context)
+    );
+
+    for (const job of owned) {
+      jobs.set(job.name, job);
+
+      if (started) {
+        schedule(job);
+      }
+    }
+  }
+
+  /**
+   * Stop and remove a module's jobs
+   *
+   * @param {string} owner - Module name
+   * @returns {Promise<void>} Resolves when the module's running jobs have finished
+   */
+  function unregister(owner) {
+    const running = [];
+
+    for (const job of jobs.values()) {
+      if (job.owner === owner) {
+        clearTimeout(job.timer);
+        jobs.delete(job.name);
+
+        if (job.running) {
+          running.push(job.running);
+        }
+      }
+    }
+
+    return Promise.allSettled(running).then(() => {});
+  }
+
+  /**
+   * Start scheduling every registered job
+   *
+   * @returns {void}
+   */
+  function start() {
+    if (started) {
+      return;
+    }
+
+    started = true;
+    for (const job of jobs.values()) {
+      schedule(job);
+    }
+  }
+
+  /**
+   * Stop scheduling jobs; runs already in progress continue
+   *
+   * @returns {void}
+   */
+  function stop() {
+    started = false;
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Run a job now, outside its schedule
+   *
+   * @param {string} name - Job name as '<module>.<job>'
+   * @returns {Promise<object>} Result of the run ({ status, duration, error })
+   * @throws {Error} If the job doesn't exist or is already running
+   */
+  async function trigger(name) {
+    const job = jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Job ${name} not found`);
+    }
+
+    if (job.running) {
+      const error = new Error(`Job ${name} is already running`);
+      error.code = 'JOB_RUNNING';
+      throw error;
+    }
+
+    await run(job, 'manual');
+    return job.lastRun;
+  }
+
+  /**
+   * List the registered jobs with their schedule and last run
+   *
+   * @returns {Array<object>} Job descriptions
+   */
+  function list() {
+    return Array.from(jobs.values()).map(describeJob);
+  }
+
+  /**
+   * Schedule the next run of a job
+   *
+   * @param {object} job - Job
+   * @returns {void}
+   * @private
+   */
+  function schedule(job) {
+    clearTimeout(job.timer);
+
+    const nextRunAt = job.cron
+      ? getNextCronTime(job.cron, new Date())
+      : new Date(Date.now() + job.interval);
+
+    job.nextRunAt = nextRunAt;
+    setJobTimer(job, nextRunAt);
+  }
+
+  /**
+   * Wait until a time, in steps if it is beyond the timer limit
+   *
+   * @param {object} job - Job
+   * @param {Date} at - Time of the next run
+   * @returns {void}
+   * @private
+   */
+  function setJobTimer(job, at) {
+    const wait = Math.max(0, at.getTime() - Date.now());
+
+    job.timer = setTimeout(() => {
+      if (wait > MAX_TIMER_DELAY) {
+        setJobTimer(job, at);
+        return;
+      }
+
+      if (job.running) {
+        job.skipped++;
+        job.logger.warn(`Job ${job.name} is still running, skipping scheduled run`);
+      } else {
+        run(job, 'schedule');
+      }
+
+      if (started && jobs.get(job.name) === job) {
+        schedule(job);
+      }
+    }, Math.min(wait, MAX_TIMER_DELAY));
+
+    // Scheduled jobs alone don't keep the process running
+    job.timer.unref?.();
+  }
+
+  /**
+   * Run a job once and record the outcome
+   *
+   * @param {object} job - Job
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<void>}
+   * @private
+   */
+  function run(job, trigger) {
+    const startedAt = Date.now();
+    const details = { name: job.name, module: job.owner, trigger, startedAt: new Date(startedAt) };
+
+    job.running = runInScope(
+      () => withTimeout(
+        Promise.resolve().then(() => job.handler(job.context, details)),
+        job.timeout,
+        `Job ${job.name} did not finish within ${job.timeout}ms`
+      ),
+      { id: `job-${job.name}-${startedAt}`, job: details }
+    ).then(
+      () => ({ status: 'success' }),
+      error => ({ status: 'failed', error })
+    ).then(({ status, error }) => {
+      const duration = Date.now() - startedAt;
+
+      job.runs++;
+      job.running = null;
+      job.lastRun = {
+        status,
+        trigger,
+        startedAt: details.startedAt,
+        duration,
+        ...(error ? { error: error.message } : {})
+      };
+
+      if (error) {
+        job.failures++;
+        job.logger.error(`Job ${job.name} failed`, { job: job.name, duration, err: error });
+      } else {
+        job.logger.debug(`Job ${job.name} finished`, { job: job.name, duration });
+      }
+    });
+
+    return job.running;
+  }
+
+  return { register, unregister, start, stop, trigger, list };
+}
+
+/**
+ * Parse a five-field cron expression
+ *
+ * @param {string} expression - Cron expression, e.g. '*\/5 * * * *'
+ * @returns {object} Parsed fields as sets of allowed values
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${CRON_FIELDS.length} fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => {
+    try {
+      return parseCronField(part, CRON_FIELDS[index]);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+  });
+
+  // Sunday can be written as 0 or 7
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Get the next time after a date that matches a cron expression
+ *
+ * @param {string|object} cron - Cron expression or the result of parseCronExpression()
+ * @param {Date} after - Starting point (default: now)
+ * @returns {Date} Next matching time, with seconds set to zero
+ * @throws {Error} If no matching time exists within five years
+ */
+export function getNextCronTime(cron, after = new Date()) {
+  const fields = typeof cron === 'string' ? parseCronExpression(cron) : cron;
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  const next = new Date(after.getTime());
+
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  while (next.getTime() <= limit) {
+    if (!fields.month.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+    } else if (!matchesDay(fields, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+    } else if (!fields.hour.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+    } else if (!fields.minute.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  throw new Error('Cron expression never matches');
+}
+
+/**
+ * Validate a job definition and create its runtime record
+ *
+ * @param {string} owner - Module name
+ * @param {string} jobName - Job name within the module
+ * @param {object} definition - Job definition
+ * @param {object} context - Context passed to the handler
+ * @returns {object} Job
+ * @throws {Error} If the definition is invalid
+ * @private
+ */
+function createJob(owner, jobName, definition, context) {
+  const name = `${owner}.${jobName}`;
+  const { schedule, interval, handler, timeout } = definition || {};
+
+  if (typeof handler !== 'function') {
+    throw new Error(`Job ${name} must have a handler function`);
+  }
+
+  if ((schedule === undefined) === (interval === undefined)) {
+    throw new Error(`Job ${name} must have either a cron schedule or an interval`);
+  }
+
+  if (interval !== undefined && !(Number.isFinite(interval) && interval > 0)) {
+    throw new Error(`Job ${name} interval must be a positive number of milliseconds`);
+  }
+
+  return {
+    name,
+    owner,
+    handler,
+    timeout,
+    context,
+    interval,
+    schedule,
+    cron: schedule === undefined ? null : parseCronExpression(schedule),
+    logger: context?.logger || getDefaultLogger(),
+    timer: null,
+    running: null,
+    nextRunAt: null,
+    lastRun: null,
+    runs: 0,
+    failures: 0,
+    skipped: 0
+  };
+}
+
+/**
+ * Describe a job for listings
+ *
+ * @param {object} job - Job
+ * @returns {object} Job description
+ * @private
+ */
+function describeJob(job) {
+  return {
+    name: job.name,
+    module: job.owner,
+    schedule: job.schedule ?? null,
+    interval: job.interval ?? null,
+    running: Boolean(job.running),
+    nextRunAt: job.nextRunAt,
+    lastRun: job.lastRun,
+    runs: job.runs,
+    failures: job.failures,
+    skipped: job.skipped
+  };
+}
+
+/**
+ * Parse one field of a cron expression
+ *
+ * @param {string} part - Field text
+ * @param {object} field - Field name and bounds
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} If the field is invalid
+ * @private
+ */
+function parseCronField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(item);
+
+    if (!match) {
+      throw new Error(`invalid ${field.name} "${item}"`);
+    }
+
+    const step = match[2] ? Number(match[2]) : 1;
+    let start = field.min;
+    let end = field.max;
+
+    if (match[1].includes('-')) {
+      [start, end] = match[1].split('-').map(Number);
+    } else if (match[1] !== '*') {
+      // A single value with a step ('5/15') runs from the value to the maximum
+      start = Number(match[1]);
+      end = match[2] ? field.max : start;
+    }
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name} "${item}" is out of range ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Check whether a date matches the day fields of a cron expression
+ *
+ * @param {object} fields - Parsed cron fields
+ * @param {Date} date - Date
+ * @returns {boolean} True if the day matches
+ * @private
+ */
+function matchesDay(fields, date) {
+  const dayOfMonth = fields.dayOfMonth.has(date.getDate());
+  const dayOfWeek = fields.dayOfWeek.has(date.getDay());
+
+  return fields.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
@@ -0,0 +1,352 @@
+/**
+ * Structured logging
+ *
+ * The core logs through a logger with levels, JSON or pretty output, child
+ * loggers bound to fields such as a module id, redaction of sensitive
+ * fields, and the id of the current request attached to every entry logged
+ * while handling it. Entries can be sent to any transport, including pino.
+ *
+ * Log calls take a message and optional fields; an Error may be passed in
+ * place of the fields and is logged as `err`:
+ *
+ *   logger.info('User created', { userId });
+ *   logger.error('Payment failed', error);
+ */
+
+import { getRequestContext } from './request-scope.js';
+
+export const LOG_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+};
+
+const DEFAULT_REDACT = ['password', 'secret', 'token', 'authorization', 'cookie'];
+const REDACTED = '[Redacted]';
+
+// Replaces objects that contain themselves
+const CIRCULAR = '[Circular]';
+
+const PRETTY_COLORS = {
+  trace: '\x1b[90m',
+  debug: '\x1b[36m',
+  info: '\x1b[32m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m',
+  fatal: '\x1b[35m'
+};
+
+/**
+ * Create a logger
+ *
+ * @param {object} options - Logger options
+ * @param {string} options.level - Minimum level to log (default: LOG_LEVEL or 'info')
+ * @param {string} options.format - 'json' or 'pretty' (default: LOG_FORMAT, or 'json' in production)
+ * @param {string[]} options.redact - Field names, or dot paths, whose values are hidden
+ * @param {object} options.bindings - Fields added to every entry
+ * @param {Function} options.transport - Receives each entry instead of the console output
+ * @returns {object} Logger
+ */
+export function createLogger(options = {}) {
+  const settings = {
+    level: options.level || process.env.LOG_LEVEL || 'info',
+    format: options.format || process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    redact: options.redact || DEFAULT_REDACT,
+    transport: options.transport
+  };
+
+  assertLevel(settings.level);
+
+  return buildLogger(settings, options.bindings || {});
+}
+
+/**
+ * Create a transport that sends entries to a pino logger
+ *
+ * @param {object} pino - pino logger instance
+ * @returns {Function} Transport
+ */
+export function createPinoTransport(pino) {
+  return ({ level, msg, time, ...fields }) => {
+    pino[level](fields, msg);
+  };
+}
+
+// Logger used by the core unless one is passed in
+let defaultLogger = null;
+
+/**
+ * Get the default logger
+ *
+ * @returns {object} Logger
+ */
+export function getDefaultLogger() {
+  if (!defaultLogger) {
+    defaultLogger = createLogger();
+  }
+
+  return defaultLogger;
+}
+
+/**
+ * Replace the default logger used by the core
+ *
+ * @param {object} logger - Logger created by createLogger(), or any object with the same methods
+ * @returns {void}
+ */
+export function setDefaultLogger(logger) {
+  defaultLogger = logger;
+}
+
+/**
+ * Build a logger bound to a set of fields
+ *
+ * Children share the settings object, so changing the level of a logger
+ * also changes it for its children.
+ *
+ * @param {object} settings - Shared logger settings
+ * @param {object} bindings - Fields added to every entry
+ * @returns {object} Logger
+ * @private
+ */
+function buildLogger(settings, bindings) {
+  const log = (level, msg, fields) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) {
+      return;
+    }
+
+    const requestId = getRequestContext()?.id;
+    const entry = redact({
+      level,
+      time: new Date().toISOString(),
+      msg,
+      ...bindings,
+      ...(requestId ? { requestId } : {}),
+      ...normalizeFields(fields)
+    }, settings.redact);
+
+    if (settings.transport) {
+      settings.transport(entry);
+    } else {
+      write(entry, settings.format);
+    }
+  };
+
+  const logger = {
+    child(childBindings = {}) {
+      return buildLogger(settings, { ...bindings, ...childBindings });
+    },
+
+    setLevel(level) {
+      assertLevel(level);
+      settings.level = level;
+    },
+
+    isLevelEnabled(level) {
+      return LOG_LEVELS[level] >= LOG_LEVELS[settings.level];
+    },
+
+    get level() {
+      return settings.level;
+    }
+  };
+
+  for (const level of Object.keys(LOG_LEVELS)) {
+    if (level !== 'silent') {
+      logger[level] = (msg, fields) => log(level, msg, fields);
+    }
+  }
+
+  return logger;
+}
+
+/**
+ * Turn the fields argument into a plain object
+ *
+ * @param {object|Error} fields - Fields, or an error
+ * @returns {object} Fields with errors serialized
+ * @private
+ */
+function normalizeFields(fields) {
+  if (fields instanceof Error) {
+    return { err: serializeError(fields) };
+  }
+
+  if (!fields || typeof fields !== 'object') {
+    return fields === undefined ? {} : { value: fields };
+  }
+
+  return fields.err instanceof Error ? { ...fields, err: serializeError(fields.err) } : fields;
+}
+
+/**
+ * Serialize an error with its message, stack and custom properties
+ *
+ * Errors among the custom properties are serialized too; an error that
+ * refers back to one being serialized becomes '[Circular]'.
+ *
+ * @param {Error} error - Error
+ * @param {WeakSet} seen - Errors being serialized
+ * @returns {object} Plain object
+ * @private
+ */
+function serializeError(error, seen = new WeakSet()) {
+  seen.add(error);
+
+  const properties = Object.entries(error).map(([key, value]) => [
+    key,
+    value instanceof Error ? (seen.has(value) ? CIRCULAR : serializeError(value, seen)) : value
+  ]);
+
+  return {
+    type: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...Object.fromEntries(properties)
+  };
+}
+
+/**
+ * Copy an entry, replacing the values of redacted fields
+ *
+ * Plain names are matched at any depth; dot paths only at that path. Only
+ * plain objects and arrays are copied: dates, buffers and class instances
+ * are kept as they are, and an object containing itself is replaced by
+ * '[Circular]'.
+ *
+ * @param {any} value - Value to redact
+ * @param {string[]} fields - Redacted names and paths
+ * @param {string} prefix - Path of the value
+ * @param {WeakSet} ancestors - Objects being copied
+ * @returns {any} Copy with redacted values
+ * @private
+ */
+function redact(value, fields, prefix = '', ancestors = new WeakSet()) {
+  if (!isPlainData(value)) {
+    return value;
+  }
+
+  if (ancestors.has(value)) {
+    return CIRCULAR;
+  }
+
+  ancestors.add(value);
+  const result = Array.isArray(value) ? [] : {};
+
+  for (const [key, child] of Object.entries(value)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const hidden = fields.some(field => field.includes('.')
+      ? field === keyPath
+      : field.toLowerCase() === key.toLowerCase());
+
+    result[key] = hidden ? REDACTED : redact(child, fields, keyPath, ancestors);
+  }
+
+  ancestors.delete(value);
+  return result;
+}
+
+/**
+ * Check whether a value is a plain object or an array
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects and arrays
+ * @private
+ */
+function isPlainData(value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Serialize a value to JSON without throwing
+ *
+ * BigInts are written as strings and repeated objects as '[Circular]'.
+ *
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON
+ * @private
+ */
+function stringify(value) {
+  const seen = new WeakSet();
+
+  return JSON.stringify(value, (key, child) => {
+    if (typeof child === 'bigint') {
+      return child.toString();
+    }
+
+    if (child && typeof child === 'object') {
+      if (seen.has(child)) {
+        return CIRCULAR;
+      }
+
+      seen.add(child);
+    }
+
+    return child;
+  });
+}
+
+/**
+ * Write an entry to the console
+ *
+ * Warnings and errors go to stderr, everything else to stdout.
+ *
+ * @param {object} entry - Log entry
+ * @param {string} format - 'json' or 'pretty'
+ * @returns {void}
+ * @private
+ */
+function write(entry, format) {
+  const stream = LOG_LEVELS[entry.level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  if (format === 'json') {
+    stream.write(`${stringify(entry)}\n`);
+    return;
+  }
+
+  const { level, time, msg, module, requestId, err, ...fields } = entry;
+  const color = stream.isTTY ? PRETTY_COLORS[level] : '';
+  const reset = stream.isTTY ? '\x1b[0m' : '';
+
+  let line = `${time} ${color}${level.toUpperCase().padEnd(5)}${reset}`;
+  if (module) line += ` [${module}]`;
+  if (requestId) line += ` (${requestId})`;
+  line += ` ${msg}`;
+
+  if (Object.keys(fields).length > 0) {
+    line += ` ${stringify(fields)}`;
+  }
+
+  if (err) {
+    line += `\n${err.stack || `${err.type}: ${err.message}`}`;
+  }
+
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Check that a level name is known
+ *
+ * @param {string} level - Level name
+ * @returns {void}
+ * @throws {Error} If the level is unknown
+ * @private
+ */
+function assertLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * Metrics registry with Prometheus text exposition
+ *
+ * Provides counters, gauges and histograms with labels, and renders them in
+ * the Prometheus text format served at /metrics. The core records HTTP and
+ * module lifecycle metrics here; modules can register their own through
+ * `context.metrics`.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Create a metrics registry
+ *
+ * @param {object} options - Registry options
+ * @param {string} options.prefix - Prefix added to every metric name
+ * @param {object} options.defaultLabels - Labels added to every sample
+ * @returns {object} Metrics registry
+ */
+export function createMetricsRegistry(options = {}) {
+  const prefix = options.prefix || '';
+  const defaultLabels = options.defaultLabels || {};
+  const metrics = new Map();
+
+  /**
+   * Get an existing metric or create it
+   *
+   * @param {string} type - Metric type
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Allowed label names
+   * @param {Function} create - Creates the metric implementation
+   * @returns {object} Metric
+   * @private
+   */
+  function define(type, name, help, labelNames, create) {
+    const fullName = `${prefix}${name}`;
+
+    if (!NAME_PATTERN.test(fullName)) {
+      throw new Error(`Invalid metric name "${fullName}"`);
+    }
+
+    const existing = metrics.get(fullName);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric "${fullName}" is already registered as a ${existing.type}`);
+      }
+
+      return existing;
+    }
+
+    const metric = { type, name: fullName, help: help || fullName, labelNames: labelNames || [], ...create() };
+    metrics.set(fullName, metric);
+    return metric;
+  }
+
+  /**
+   * Register a counter (a value that only goes up)
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Allowed label names
+   * @returns {object} Counter with inc(labels?, value?)
+   */
+  function counter(name, help, labelNames) {
+    return define('counter', name, help, labelNames, () => {
+      const values = new Map();
+
+      return {
+        inc(labels, value) {
+          [labels, value] = normalizeArgs(labels, value, 1);
+          if (value < 0) {
+            throw new Error(`Counter ${name} cannot be decreased`);
+          }
+
+          const key = labelKey(labels);
+          values.set(key, { labels, value: (values.get(key)?.value || 0) + value });
+        },
+        reset() {
+          values.clear();
+        },
+        samples() {
+          return Array.from(values.values()).map(({ labels, value }) => ({ suffix: '', labels, value }));
+        }
+      };
+    });
+  }
+
+  /**
+   * Register a gauge (a value that can go up and down)
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Allowed label names
+   * @returns {object} Gauge with set, inc and dec
+   */
+  function gauge(name, help, labelNames) {
+    return define('gauge', name, help, labelNames, () => {
+      const values = new Map();
+      const update = (labels, fn) => {
+        const key = labelKey(labels);
+        values.set(key, { labels, value: fn(values.get(key)?.value || 0) });
+      };
+
+      return {
+        set(labels, value) {
+          [labels, value] = normalizeArgs(labels, value, 0);
+          update(labels, () => value);
+        },
+        inc(labels, value) {
+          [labels, value] = normalizeArgs(labels, value, 1);
+          update(labels, current => current + value);
+        },
+        dec(labels, value) {
+          [labels, value] = normalizeArgs(labels, value, 1);
+          update(labels, current => current - value);
+        },
+        reset() {
+          values.clear();
+        },
+        samples() {
+          return Array.from(values.values()).map(({ labels, value }) => ({ suffix: '', labels, value }));
+        }
+      };
+    });
+  }
+
+  /**
+   * Register a histogram (observations counted into buckets)
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Allowed label names
+   * @param {number[]} buckets - Upper bounds of the buckets
+   * @returns {object} Histogram with observe(labels?, value) and startTimer(labels?)
+   */
+  function histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    return define('histogram', name, help, labelNames, () => {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+
+      const observe = (labels, value) => {
+        [labels, value] = normalizeArgs(labels, value, 0);
+
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index]++;
+          }
+        });
+
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      };
+
+      return {
+        observe,
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+          };
+        },
+        reset() {
+          series.clear();
+        },
+        samples() {
+          return Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, index) => ({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[index] })),
+            { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+            { suffix: '_sum', labels, value: sum },
+            { suffix: '_count', labels, value: count }
+          ]);
+        }
+      };
+    });
+  }
+
+  /**
+   * Get a registered metric by name (including the prefix)
+   *
+   * @param {string} name - Metric name
+   * @returns {object|undefined} The metric
+   */
+  function getMetric(name) {
+    return metrics.get(name);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   *
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const { suffix, labels, value } of metric.samples()) {
+        lines.push(`${metric.name}${suffix}${formatLabels({ ...defaultLabels, ...labels })} ${formatValue(value)}`);
+      }
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Reset the values of every metric, keeping the definitions
+   *
+   * @returns {void}
+   */
+  function resetValues() {
+    for (const metric of metrics.values()) {
+      metric.reset();
+    }
+  }
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    counter,
+    gauge,
+    histogram,
+    getMetric,
+    render,
+    resetValues
+  };
+}
+
+// Registry shared by createApp() and initializeModules() unless one is passed in
+let defaultRegistry = null;
+
+/**
+ * Get the default metrics registry
+ *
+ * @returns {object} Metrics registry
+ */
+export function getDefaultMetricsRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createMetricsRegistry();
+  }
+
+  return defaultRegistry;
+}
+
+/**
+ * Register the HTTP metrics recorded for every request
+ *
+ * @param {object} registry - Metrics registry
+ * @returns {{ requests: object, duration: object }} Request counter and latency histogram
+ */
+export function getHttpMetrics(registry) {
+  return {
+    requests: registry.counter('http_requests_total', 'Total number of HTTP requests', ['method', 'route', 'status_code']),
+    duration: registry.histogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route', 'status_code'])
+  };
+}
+
+/**
+ * Register the module lifecycle metrics recorded by the module system
+ *
+ * @param {object} registry - Metrics registry
+ * @returns {object} Init and shutdown duration gauges and the failure counter
+ */
+export function getModuleMetrics(registry) {
+  return {
+    initDuration: registry.gauge('module_init_duration_seconds', 'Time taken to initialize each module in seconds', ['module']),
+    shutdownDuration: registry.gauge('module_shutdown_duration_seconds', 'Time taken to shut down each module in seconds', ['module']),
+    failures: registry.counter('module_lifecycle_failures_total', 'Module lifecycle failures', ['module', 'phase'])
+  };
+}
+
+/**
+ * Create a route handler that serves a registry in the Prometheus format
+ *
+ * @param {object} registry - Metrics registry
+ * @returns {Function} Express-style route handler
+ */
+export function createMetricsHandler(registry) {
+  return (req, res) => {
+    res.set('Content-Type', registry.contentType);
+    res.send(registry.render());
+  };
+}
+
+/**
+ * Accept (labels, value) or just (value)
+ *
+ * @param {object|number} labels - Labels or value
+ * @param {number} value - Value
+ * @param {number} defaultValue - Value when none is given
+ * @returns {Array} [labels, value]
+ * @private
+ */
+function normalizeArgs(labels, value, defaultValue) {
+  if (typeof labels === 'number') {
+    return [{}, labels];
+  }
+
+  return [labels || {}, value ?? defaultValue];
+}
+
+/**
+ * Build a stable key for a label set
+ *
+ * @param {object} labels - Labels
+ * @returns {string} Key
+ * @private
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+/**
+ * Format labels as {name="value",...}
+ *
+ * @param {object} labels - Labels
+ * @returns {string} Formatted labels, or an empty string
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const formatted = entries.map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+
+  return `{${formatted.join(',')}}`;
+}
+
+/**
+ * Format a sample value
+ *
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Escape help text
+ *
+ * @param {string} help - Help text
+ * @returns {string} Escaped help text
+ * @private
+ */
+function escapeHelp(help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
@@ -3,240 +3,1663 @@
  *
  * This system provides a way to register modules, manage their dependencies,
  * and initialize them in the correct order with lifecycle management.
+ *
+ * Each call to createModuleSystem() returns an isolated instance with its own
+ * registry, initialization state and lifecycle hooks. The named exports below
+ * delegate to a shared default instance for backwards compatibility.
  */
 
-const modules = {};
-const initialized = new Set();
-const lifecycleHooks = {};
+import { assertBoundaryMode, createScopedContext } from './boundaries.js';
+import { resolveModuleConfigs } from './config.js';
+import { discoverModuleDirectory } from './discovery.js';
+import { createEventBus } from './events.js';
+import { createFeatureFlags, createFeatureGate, resolveDisabledModules } from './features.js';
+import { createHealthMonitor } from './health.js';
+import { createJobScheduler } from './jobs.js';
+import { getDefaultLogger } from './logger.js';
+import { createMetricsHandler, getDefaultMetricsRegistry, getModuleMetrics } from './metrics.js';
+import { assertCompatibleVersions, buildDependencyGraph, getModuleDependencies, runInDependencyOrder } from './graph.js';
+import { createRequestScope } from './request-scope.js';
+import { assertRouteConflictMode, createModuleRouter, createRouteRegistry } from './router.js';
+import { resolveVersioningOptions, sortApiVersions } from './versioning.js';
+import { createGracefulShutdown } from './shutdown.js';
+import { createStateStore } from './state.js';
+import { delay, withTimeout } from './utils.js';
+import { watchModuleDirectory } from './watch.js';
+
+const LIFECYCLE_EVENTS = [
+  'beforeAllInit',
+  'beforeInit',
+  'beforeRoutes',
+  'afterRoutes',
+  'afterInit',
+  'onInitError',
+  'afterAllInit',
+  'beforeShutdown',
+  'onShutdownError',
+  'afterShutdown'
+];
+
+const HOOK_ERROR_MODES = ['fail', 'continue'];
+
+// App methods that register routes or middleware
+const ROUTE_METHODS = ['use', 'all', 'get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
 
 /**
- * Register a module with the system
+ * Create an isolated module system instance
  *
- * @param {string} name - Unique module name
- * @param {object} module - Module implementation
- * @returns {object} The registered module
- * @throws {Error} If the module is invalid
+ * @param {object} systemOptions - Instance options
+ * @param {object} systemOptions.logger - Logger for core messages (default: the default logger)
+ * @returns {object} Module system with its own registry and lifecycle hooks
  */
-export function registerModule(name, module) {
-  // Validate module
-  if (!name || typeof name !== 'string') {
-    throw new Error('Module name must be a non-empty string');
+export function createModuleSystem(systemOptions = {}) {
+  let modules = {};
+  let lifecycleHooks = {};
+  const initialized = new Set();
+  // Status of each module: pending, initializing, ready, degraded, failed, disabled or stopped
+  let moduleStatus = {};
+  let currentContext = null;
+  let currentOptions = {};
+  let currentConfig = {};
+
+  // Router layers added by each module, so they can be removed on unload,
+  // and the layer that followed unloaded modules' routes for remounting
+  const moduleRoutes = {};
+  const routeAnchors = {};
+
+  // Method, path and module of every route registered through module routers
+  let routeRegistry = createRouteRegistry();
+
+  // How module routes are versioned
+  let versioning = resolveVersioningOptions();
+
+  // Boundary-checked context handed to each initialized module
+  const scopedContexts = {};
+
+  // Request-scoped service factories of this instance
+  const requestScope = createRequestScope({ logger: systemOptions.logger });
+
+  // Scheduled jobs of initialized modules, each run in its own request scope
+  const scheduler = createJobScheduler({ runInScope: (fn, init) => requestScope.run(fn, init) });
+
+  // Liveness and readiness of this instance
+  const healthMonitor = createHealthMonitor({ getChecks: getHealthChecks });
+
+  // Apps that already have the request scope and core health and metrics routes
+  const coreRoutesMounted = new WeakSet();
+
+  /**
+   * Get the logger for core messages
+   *
+   * Resolved on each use so a default logger set after the instance was
+   * created is still picked up.
+   *
+   * @returns {object} Logger
+   * @private
+   */
+  function getLogger() {
+    return currentOptions.logger || systemOptions.logger || getDefaultLogger();
   }
 
-  if (!module || typeof module !== 'object') {
-    throw new Error('Module must be a valid object');
+  /**
+   * Register a module with the system
+   *
+   * @param {string} name - Unique module name
+   * @param {object} module - Module implementation
+   * @returns {object} The registered module
+   * @throws {Error} If the module is invalid or its version constraints conflict
+   *   with already registered modules
+   */
+  function registerModule(name, module) {
+    // Validate module
+    if (!name || typeof name !== 'string') {
+      throw new Error('Module name must be a non-empty string');
+    }
+
+    if (!module || typeof module !== 'object') {
+      throw new Error('Module must be a valid object');
+    }
+
+    if (!module.id || !module.name) {
+      throw new Error('Module must have id and name properties');
+    }
+
+    // Check if module is already registered
+    if (modules[name]) {
+      getLogger().warn('Module is already registered, skipping', { module: name });
+      return modules[name];
+    }
+
+    assertCompatibleVersions(name, module, modules);
+
+    modules[name] = module;
+    getLogger().info('Registered module', { module: name });
+    return module;
   }
 
-  if (!module.id || !module.name) {
-    throw new Error('Module must have id and name properties');
+  /**
+   * Discover and register the modules in a directory
+   *
+   * @param {object} options - Discovery options
+   * @param {string|string[]} options.dir - Directory or directories to scan (default: 'modules')
+   * @param {string} options.env - Current environment (default: NODE_ENV or 'development')
+   * @param {boolean} options.requireManifest - Only load packages with a `modularSystem` manifest (default: false)
+   * @param {object} options.logger - Logger (default: the instance logger)
+   * @returns {Promise<object>} Report with registered, skipped and failed modules
+   */
+  function discoverModules(options = {}) {
+    return discoverModuleDirectory({ logger: getLogger(), ...options }, {
+      register: registerModule,
+      isRegistered: (name) => Boolean(modules[name])
+    });
   }
 
-  // Check if module is already registered
-  if (modules[name]) {
-    console.warn(`Module ${name} is already registered. Skipping.`);
+  /**
+   * Get a registered module by name
+   *
+   * @param {string} name - Module name
+   * @returns {object|undefined} The module or undefined if not found
+   */
+  function getModule(name) {
     return modules[name];
   }
 
-  modules[name] = module;
-  console.log(`Registered module: ${name}`);
-  return module;
+  /**
+   * Get all registered modules
+   *
+   * @returns {object} An object containing all registered modules
+   */
+  function getAllModules() {
+    return { ...modules };
+  }
+
+  /**
+   * Get the initialization status of one module or of every module
+   *
+   * Statuses are 'pending', 'initializing', 'ready', 'degraded' (a
+   * non-critical module that failed), 'failed', 'disabled' or 'stopped'.
+   *
+   * @param {string} name - Module name; omit for every module
+   * @returns {object|undefined} Status with critical, attempts and error or reason, or statuses keyed by name
+   */
+  function getModuleStatus(name) {
+    if (name !== undefined) {
+      return moduleStatus[name] ? { ...moduleStatus[name] } : undefined;
+    }
+
+    return Object.fromEntries(Object.entries(moduleStatus).map(([key, status]) => [key, { ...status }]));
+  }
+
+  /**
+   * List the routes registered by modules
+   *
+   * @param {string|object} filter - Module name, or { module, version }
+   * @returns {Array<object>} Routes with method, full path, module and, for versioned routes, version
+   */
+  function getRoutes(filter) {
+    return routeRegistry.list(filter);
+  }
+
+  /**
+   * List the API versions with their routes
+   *
+   * Each version lists its versioned paths; the unversioned paths that
+   * negotiate the version from headers are left out.
+   *
+   * @returns {Array<object>} Versions from oldest to newest, with deprecated, sunset and routes
+   */
+  function getApiVersions() {
+    const byVersion = new Map();
+
+    for (const route of routeRegistry.list()) {
+      if (!route.version) {
+        continue;
+      }
+
+      if (!byVersion.has(route.version)) {
+        byVersion.set(route.version, []);
+      }
+
+      byVersion.get(route.version).push(route);
+    }
+
+    return sortApiVersions(Array.from(byVersion.keys())).map(version => {
+      const routes = byVersion.get(version);
+      const info = versioning.versions[version] || {};
+
+      return {
+        version,
+        deprecated: Boolean(info.deprecated) || routes.some(route => route.deprecated),
+        sunset: info.sunset ?? routes.find(route => route.sunset)?.sunset ?? null,
+        routes: routes.map(({ method, path, module }) => ({ method, path, module }))
+      };
+    });
+  }
+
+  /**
+   * List the scheduled jobs of initialized modules
+   *
+   * @returns {Array<object>} Jobs with name, module, schedule, next run and last run status and duration
+   */
+  function getJobs() {
+    return scheduler.list();
+  }
+
+  /**
+   * Run a scheduled job now
+   *
+   * @param {string} name - Job name as '<module>.<job>'
+   * @returns {Promise<object>} Outcome of the run with status, duration and error
+   * @throws {Error} If the job doesn't exist or is already running
+   */
+  function runJob(name) {
+    return scheduler.trigger(name);
+  }
+
+  /**
+   * Check whether a module failed to initialize but was kept as degraded
+   *
+   * @param {string} name - Module name
+   * @returns {boolean} True if degraded
+   * @private
+   */
+  function isDegraded(name) {
+    return moduleStatus[name]?.status === 'degraded';
+  }
+
+  /**
+   * Check whether a module is initialized or degraded
+   *
+   * @param {string} name - Module name
+   * @returns {boolean} True if loaded
+   * @private
+   */
+  function isLoaded(name) {
+    return initialized.has(name) || isDegraded(name);
+  }
+
+  /**
+   * Register a lifecycle hook for a specific event
+   *
+   * Hooks run in descending priority, then in registration order. Hooks for
+   * per-module events (beforeInit, beforeRoutes, afterRoutes, afterInit,
+   * onInitError, onShutdownError) receive the context with `moduleName` set
+   * and can be limited to some modules. Error hooks also receive the error.
+   *
+   * A hook that throws aborts the sequence it runs in when `onError` is
+   * 'fail' (the default), or is logged and skipped when it is 'continue'.
+   * Failures of onInitError and onShutdownError hooks are always logged
+   * so the original error is kept.
+   *
+   * @param {string} event - Lifecycle event name (e.g., 'beforeInit', 'afterInit', 'beforeShutdown')
+   * @param {Function} callback - Function to call when the event occurs
+   * @param {object} options - Hook options
+   * @param {number} options.priority - Higher priorities run first (default: 0)
+   * @param {string|string[]|Function} options.modules - Module name(s), or a predicate, for per-module events
+   * @param {string} options.onError - 'fail' (default) or 'continue'
+   * @returns {Function} Function that removes the hook
+   */
+  function registerLifecycleHook(event, callback, options = {}) {
+    const { priority = 0, modules: moduleFilter, onError = 'fail' } = options;
+
+    if (!LIFECYCLE_EVENTS.includes(event)) {
+      throw new Error(`Unknown lifecycle event "${event}". Use one of: ${LIFECYCLE_EVENTS.join(', ')}`);
+    }
+
+    if (typeof callback !== 'function') {
+      throw new Error(`Lifecycle hook for ${event} must be a function`);
+    }
+
+    if (!HOOK_ERROR_MODES.includes(onError)) {
+      throw new Error(`Unknown lifecycle hook error mode "${onError}". Use one of: ${HOOK_ERROR_MODES.join(', ')}`);
+    }
+
+    const hook = { callback, priority, onError, filter: createModuleFilter(moduleFilter) };
+    const hooks = lifecycleHooks[event] || (lifecycleHooks[event] = []);
+
+    // Keep hooks sorted by priority; equal priorities keep registration order
+    const index = hooks.findIndex(existing => existing.priority < priority);
+    hooks.splice(index === -1 ? hooks.length : index, 0, hook);
+
+    return () => {
+      lifecycleHooks[event] = (lifecycleHooks[event] || []).filter(existing => existing !== hook);
+    };
+  }
+
+  /**
+   * Trigger lifecycle hooks for a specific event
+   *
+   * @param {string} event - Lifecycle event name
+   * @param {object} context - Application context, with moduleName for per-module events
+   * @param {Error} error - Error for onInitError and onShutdownError
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function triggerLifecycleHooks(event, context, error) {
+    const hooks = (lifecycleHooks[event] || []).filter(hook =>
+      !hook.filter || !context.moduleName || hook.filter(context.moduleName)
+    );
+
+    for (const hook of hooks) {
+      try {
+        await Promise.resolve(hook.callback(context, error));
+      } catch (hookError) {
+        if (hook.onError === 'fail' && !error) {
+          throw hookError;
+        }
+
+        getLogger().error(`Lifecycle hook for ${event} failed`, { module: context.moduleName, err: hookError });
+      }
+    }
+  }
+
+  /**
+   * Build the dependency graph of all registered modules
+   *
+   * The graph lists every module, every dependency edge and the order in
+   * which initializeModules() will initialize them.
+   *
+   * @returns {object} Graph with nodes, edges and order
+   * @throws {Error} If a dependency is missing or the graph contains a cycle
+   */
+  function getDependencyGraph() {
+    return buildDependencyGraph(modules);
+  }
+
+  /**
+   * Initialize a single module
+   *
+   * Dependencies must already be initialized; initializeModules() guarantees
+   * this by walking the topologically sorted dependency graph.
+   *
+   * @param {string} name - Module name
+   * @param {object} context - Application context
+   * @param {number} defaultTimeout - Timeout used when the module declares no initTimeout
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function initializeModule(name, context, defaultTimeout) {
+    // Skip if already initialized
+    if (initialized.has(name)) {
+      return;
+    }
+
+    const module = modules[name];
+    if (!module) {
+      throw new Error(`Module ${name} not found`);
+    }
+
+    // The module only sees the services of its declared dependencies
+    const logger = context.logger.child({ module: name });
+    const scoped = createScopedContext(context, name, module, {
+      mode: currentOptions.boundaries,
+      getExports: (moduleName) => modules[moduleName]?.exports,
+      logger
+    });
+
+    // Log entries written by the module are tagged with its name
+    scoped.logger = logger;
+
+    // Subscriptions made by the module are removed when it unloads
+    if (context.events) {
+      scoped.events = createModuleEvents(context.events, name);
+    }
+
+    // Each module's own state lives under its name
+    scoped.moduleState = context.state.namespace(name);
+    scopedContexts[name] = scoped;
+
+    // Initialize the module
+    try {
+      // Trigger beforeInit hooks
+      await triggerLifecycleHooks('beforeInit', { ...context, moduleName: name });
+
+      if (typeof module.initialize === 'function') {
+        const timeout = module.initTimeout ?? defaultTimeout;
+        await withTimeout(
+          Promise.resolve().then(() => module.initialize(scoped)),
+          timeout,
+          `Module "${name}" did not finish initializing within ${timeout}ms`
+        );
+      }
+
+      // Register routes if available
+      if (typeof module.routes === 'function' && context.app) {
+        await triggerLifecycleHooks('beforeRoutes', { ...context, moduleName: name });
+        mountRoutes(name, module, context.app);
+        await triggerLifecycleHooks('afterRoutes', { ...context, moduleName: name });
+      }
+
+      // Register services
+      if (module.services) {
+        context.services[name] = module.services;
+      }
+
+      if (module.requestServices) {
+        requestScope.register(name, module.requestServices, scoped);
+      }
+
+      // Register declared event publications and subscriptions
+      if (module.events) {
+        registerModuleEvents(name, module, context.events);
+      }
+
+      // Register scheduled jobs; they start once all modules are initialized
+      if (module.jobs) {
+        scheduler.register(name, module.jobs, scoped);
+      }
+
+      // Mark as initialized
+      initialized.add(name);
+      logger.info('Initialized module');
+
+      // Trigger afterInit hooks
+      await triggerLifecycleHooks('afterInit', { ...context, moduleName: name });
+    } catch (error) {
+      error.module = name;
+      await triggerLifecycleHooks('onInitError', { ...context, moduleName: name }, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize a module according to its failure policy
+   *
+   * Failed attempts are retried as configured by the module's `retry`
+   * option, waiting `backoff` ms before the first retry and multiplying the
+   * wait by `factor` after each one. A module whose required dependency is
+   * unavailable fails without being attempted.
+   *
+   * When a module with `critical: false` still fails, it is marked degraded:
+   * its services are not registered, its routes respond 503 and the other
+   * modules keep initializing. A critical module that fails throws.
+   *
+   * @param {string} name - Module name
+   * @param {object} context - Application context
+   * @param {number} defaultTimeout - Initialization timeout for modules without initTimeout
+   * @returns {Promise<void>}
+   * @throws {Error} If a critical module fails to initialize
+   * @private
+   */
+  async function initializeWithPolicy(name, context, defaultTimeout) {
+    const module = modules[name];
+    const critical = module.critical !== false;
+    const { attempts = 1, backoff = 0, factor = 2 } = module.retry || {};
+    const unavailable = getModuleDependencies(module)
+      .find(dep => !dep.optional && modules[dep.name] && !initialized.has(dep.name));
+
+    let error;
+    let attempt = 0;
+
+    if (unavailable) {
+      error = new Error(`Module "${name}" requires "${unavailable.name}", which is unavailable`);
+      error.module = name;
+    }
+
+    while (!unavailable && attempt < attempts) {
+      attempt++;
+      moduleStatus[name] = { status: 'initializing', critical, attempts: attempt };
+
+      try {
+        await initializeModule(name, context, defaultTimeout);
+        moduleStatus[name] = { status: 'ready', critical, attempts: attempt };
+        return;
+      } catch (attemptError) {
+        error = attemptError;
+        discardPartialInit(name, context);
+
+        if (attempt < attempts) {
+          const wait = backoff * factor ** (attempt - 1);
+          getLogger().warn(`Module failed to initialize (attempt ${attempt} of ${attempts}), retrying in ${wait}ms`, { module: name, err: error });
+          await delay(wait);
+        }
+      }
+    }
+
+    if (context.metrics) {
+      getModuleMetrics(context.metrics).failures.inc({ module: name, phase: 'init' });
+    }
+
+    moduleStatus[name] = { status: critical ? 'failed' : 'degraded', critical, attempts: attempt, error: error.message };
+
+    if (critical) {
+      throw error;
+    }
+
+    getLogger().warn('Module is degraded', { module: name, err: error });
+
+    if (typeof module.routes === 'function' && context.app) {
+      try {
+        mountRoutes(name, module, createUnavailableApp(context.app, name));
+      } catch (routesError) {
+        getLogger().error('Failed to mount unavailable routes', { module: name, err: routesError });
+      }
+    }
+  }
+
+  /**
+   * Remove whatever a failed initialization attempt left behind
+   *
+   * @param {string} name - Module name
+   * @param {object} context - Application context
+   * @returns {void}
+   * @private
+   */
+  function discardPartialInit(name, context) {
+    delete scopedContexts[name];
+    delete context.services[name];
+    requestScope.unregister(name);
+    scheduler.unregister(name);
+    context.events?.removeAll(name);
+    unmountRoutes(name, context.app);
+    initialized.delete(name);
+  }
+
+  /**
+   * Register a module's routes and remember the router layers they added
+   *
+   * The module's routes() receives a router scoped to its prefix, with the
+   * module's `middleware` in front of each route. The prefix is
+   * `config.modules.<name>.prefix`, else the module's `prefix`, else
+   * `/api/{version}/<id>`; an empty prefix mounts routes at the root.
+   * `{version}` is replaced for versioned routes and dropped otherwise.
+   *
+   * @param {string} name - Module name
+   * @param {object} module - Module definition
+   * @param {object} app - Application instance
+   * @returns {void}
+   * @throws {Error} If a route conflicts with one already registered
+   * @private
+   */
+  function mountRoutes(name, module, app) {
+    // Express 4 creates its router (and built-in layers) lazily
+    if (typeof app.lazyrouter === 'function') {
+      app.lazyrouter();
+    }
+
+    const switches = currentContext?.config?.modules;
+    const prefix = switches?.[name]?.prefix ?? switches?.[module.id]?.prefix ?? module.prefix ?? `/api/{version}/${module.id}`;
+    const before = getRouterStack(app)?.length ?? 0;
+
+    try {
+      module.routes(createModuleRouter(app, {
+        module: name,
+        prefix,
+        middleware: module.middleware,
+        registry: routeRegistry,
+        versions: module.versions,
+        versioning
+      }));
+    } finally {
+      // Track the layers even if registration failed part way, so they can be removed
+      const stack = getRouterStack(app);
+      moduleRoutes[name] = stack ? stack.slice(before) : null;
+    }
+
+    const stack = getRouterStack(app);
+
+    // Put reloaded routes back where they were, ahead of any catch-all
+    // handlers the application added after initialization
+    const anchor = routeAnchors[name];
+    delete routeAnchors[name];
+
+    const position = anchor ? stack?.indexOf(anchor) ?? -1 : -1;
+    if (position !== -1 && position < before) {
+      const layers = stack.splice(before);
+      stack.splice(position, 0, ...layers);
+    }
+  }
+
+  /**
+   * Remove the routes a module registered
+   *
+   * Only Express routers support removing routes; on other frameworks the
+   * routes stay mounted until the application restarts.
+   *
+   * @param {string} name - Module name
+   * @param {object} app - Application instance
+   * @returns {void}
+   * @private
+   */
+  function unmountRoutes(name, app) {
+    const layers = moduleRoutes[name];
+    delete moduleRoutes[name];
+    routeRegistry.removeModule(name);
+
+    if (layers === undefined || !app) {
+      return;
+    }
+
+    const stack = getRouterStack(app);
+    if (!layers || !stack) {
+      getLogger().warn('Routes cannot be removed from this framework and stay mounted until restart', { module: name });
+      return;
+    }
+
+    // Remember the first layer after the module's routes that isn't one of them
+    const indexes = layers.map(layer => stack.indexOf(layer)).filter(index => index !== -1);
+    if (indexes.length > 0) {
+      routeAnchors[name] = stack.slice(Math.max(...indexes) + 1).find(layer => !layers.includes(layer));
+    }
+
+    for (const layer of layers) {
+      const index = stack.indexOf(layer);
+      if (index !== -1) {
+        stack.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Shut down a single initialized module and detach it from the context
+   *
+   * Runs the module's shutdown function, then removes its services and event
+   * subscriptions and, unless the whole application is shutting down, its
+   * routes. Shutdown errors and timeouts are logged and returned, not thrown.
+   *
+   * @param {string} name - Module name
+   * @param {object} context - Application context
+   * @param {object} options - Unload options
+   * @param {boolean} options.detachRoutes - Whether to remove the module's routes (default: true)
+   * @param {number} options.timeout - Default shutdown timeout in ms, unless the module sets shutdownTimeout
+   * @returns {Promise<Error|null>} The shutdown error, if any
+   * @private
+   */
+  async function unloadModule(name, context, options = {}) {
+    const { detachRoutes = true } = options;
+    const module = modules[name];
+    const scoped = scopedContexts[name] || context;
+    const timeout = module.shutdownTimeout ?? options.timeout;
+    let failure = null;
+    delete scopedContexts[name];
+
+    // Stop the module's jobs; runs in progress finish before it shuts down
+    const jobsStopped = scheduler.unregister(name);
+
+    if (typeof module.shutdown === 'function') {
+      const metrics = context.metrics ? getModuleMetrics(context.metrics) : null;
+      const startedAt = Date.now();
+
+      try {
+        await withTimeout(
+          jobsStopped.then(() => module.shutdown(scoped)),
+          timeout,
+          `Module "${name}" did not finish shutting down within ${timeout}ms`
+        );
+        getLogger().info('Shut down module', { module: name });
+      } catch (error) {
+        error.module = name;
+        failure = error;
+        metrics?.failures.inc({ module: name, phase: 'shutdown' });
+        getLogger().error('Error shutting down module', { module: name, err: error });
+        await triggerLifecycleHooks('onShutdownError', { ...context, moduleName: name }, error);
+      } finally {
+        metrics?.shutdownDuration.set({ module: name }, (Date.now() - startedAt) / 1000);
+      }
+    }
+
+    delete context.services[name];
+    requestScope.unregister(name);
+    context.events?.removeAll(name);
+
+    if (detachRoutes) {
+      unmountRoutes(name, context.app);
+    } else {
+      delete moduleRoutes[name];
+    }
+    initialized.delete(name);
+
+    if (moduleStatus[name]) {
+      moduleStatus[name] = { ...moduleStatus[name], status: 'stopped' };
+    }
+
+    return failure;
+  }
+
+  /**
+   * Get the names of initialized or degraded modules that depend on a
+   * module, directly or transitively, in initialization order
+   *
+   * @param {string} name - Module name
+   * @returns {string[]} Dependent module names
+   * @private
+   */
+  function getInitializedDependents(name) {
+    const { edges, order } = buildDependencyGraph(modules);
+    const dependents = new Set([name]);
+
+    for (const moduleName of order) {
+      if (edges.some(edge => edge.from === moduleName && dependents.has(edge.to))) {
+        dependents.add(moduleName);
+      }
+    }
+
+    dependents.delete(name);
+    return order.filter(moduleName => dependents.has(moduleName) && isLoaded(moduleName));
+  }
+
+  /**
+   * Remove a module from the system at runtime
+   *
+   * If the module is initialized it is shut down and its services, routes and
+   * event subscriptions are removed. Fails if other registered modules
+   * require it.
+   *
+   * @param {string} name - Module name
+   * @returns {Promise<boolean>} True if the module was registered
+   * @throws {Error} If other registered modules require the module, or it has
+   *   routes the framework can't remove
+   */
+  async function unregisterModule(name) {
+    if (!modules[name]) {
+      return false;
+    }
+
+    const required = buildDependencyGraph(modules).edges
+      .filter(edge => edge.to === name && !edge.optional)
+      .map(edge => edge.from);
+
+    if (required.length > 0) {
+      throw new Error(`Cannot unregister module "${name}": required by ${required.map(d => `"${d}"`).join(', ')}`);
+    }
+
+    if (currentContext && isLoaded(name)) {
+      assertRoutesReplaceable('unregister', name, [modules[name]]);
+    }
+
+    if (currentContext && initialized.has(name)) {
+      await unloadModule(name, currentContext);
+    }
+
+    if (isDegraded(name)) {
+      unmountRoutes(name, currentContext?.app);
+    }
+
+    delete modules[name];
+    delete moduleStatus[name];
+    delete routeAnchors[name];
+    getLogger().info('Unregistered module', { module: name });
+    return true;
+  }
+
+  /**
+   * Replace a module's definition at runtime (for development)
+   *
+   * The new definition and its configuration schema are checked first, so
+   * an invalid definition leaves the running module untouched. Then the
+   * module's loaded dependents and the module itself are shut down, the new
+   * definition is swapped in, and the module and its dependents are
+   * initialized again in dependency order. If that fails, the previous
+   * definition is restored and initialized again before the error is thrown.
+   *
+   * @param {string} name - Module name
+   * @param {object} newDefinition - Replacement module definition
+   * @returns {Promise<object>} The new module definition
+   * @throws {Error} If the module is not registered, the new definition or its
+   *   configuration is invalid, the framework can't replace the routes of the
+   *   modules involved, or the new definition fails to initialize
+   */
+  async function reloadModule(name, newDefinition) {
+    const previous = modules[name];
+    if (!previous) {
+      throw new Error(`Module ${name} not found`);
+    }
+
+    const others = { ...modules };
+    delete others[name];
+
+    if (!newDefinition || typeof newDefinition !== 'object' || !newDefinition.id || !newDefinition.name) {
+      throw new Error('Module must have id and name properties');
+    }
+
+    assertCompatibleVersions(name, newDefinition, others);
+    buildDependencyGraph({ ...others, [name]: newDefinition });
+
+    const context = currentContext;
+
+    // Resolve the new configuration before anything is shut down
+    const previousConfig = context ? pickConfig(context.config, previous.id) : {};
+    const nextConfig = context
+      ? pickConfig(resolveModuleConfigs({ [name]: newDefinition }, currentConfig), newDefinition.id)
+      : {};
+
+    const wasLoaded = context !== null && isLoaded(name);
+    const dependents = wasLoaded ? getInitializedDependents(name) : [];
+    const affected = [name, ...dependents];
+
+    if (wasLoaded) {
+      assertRoutesReplaceable('reload', name, [newDefinition, ...affected.map(moduleName => modules[moduleName])]);
+      await unloadModules(affected, context);
+    }
+
+    const swap = (definition, config) => {
+      modules[name] = definition;
+
+      // A section the module no longer uses falls back to the application config
+      if (context) {
+        Object.assign(context.config, pickConfig(currentConfig, previous.id), pickConfig(currentConfig, newDefinition.id), config);
+      }
+    };
+
+    swap(newDefinition, nextConfig);
+
+    if (wasLoaded) {
+      try {
+        await initializeAll(affected, context);
+      } catch (error) {
+        getLogger().error('Failed to reload module, restoring the previous definition', { module: name, err: error });
+        await unloadModules(affected, context);
+        swap(previous, previousConfig);
+
+        try {
+          await initializeAll(affected, context);
+        } catch (restoreError) {
+          getLogger().error('Failed to restore module', { module: name, err: restoreError });
+        }
+
+        throw error;
+      }
+    }
+
+    getLogger().info('Reloaded module', { module: name });
+    return newDefinition;
+  }
+
+  /**
+   * Check that the routes of modules can be removed and added again
+   *
+   * Frameworks without an Express-style router stack, such as Fastify,
+   * can't remove routes (or add them once listening), so reloading or
+   * unregistering modules with routes would leave them half shut down.
+   *
+   * @param {string} action - 'reload' or 'unregister', for the error message
+   * @param {string} name - Module being reloaded or unregistered
+   * @param {object[]} definitions - Definitions whose routes would be removed or added
+   * @returns {void}
+   * @throws {Error} With code 'ROUTES_NOT_REMOVABLE' if any of them has routes
+   * @private
+   */
+  function assertRoutesReplaceable(action, name, definitions) {
+    const app = currentContext?.app;
+
+    if (!app || getRouterStack(app) || !definitions.some(definition => typeof definition?.routes === 'function')) {
+      return;
+    }
+
+    const error = new Error(`Cannot ${action} module "${name}": this framework can't remove routes, restart the application instead`);
+    error.code = 'ROUTES_NOT_REMOVABLE';
+    error.module = name;
+    throw error;
+  }
+
+  /**
+   * Shut down loaded modules in reverse order, removing their routes
+   *
+   * @param {string[]} names - Module names in initialization order
+   * @param {object} context - Application context
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function unloadModules(names, context) {
+    for (const moduleName of [...names].reverse()) {
+      if (initialized.has(moduleName)) {
+        await unloadModule(moduleName, context);
+      } else {
+        unmountRoutes(moduleName, context.app);
+      }
+    }
+  }
+
+  /**
+   * Initialize modules in order with their retry policies
+   *
+   * @param {string[]} names - Module names in initialization order
+   * @param {object} context - Application context
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function initializeAll(names, context) {
+    for (const moduleName of names) {
+      await initializeWithPolicy(moduleName, context, currentOptions.initTimeout);
+    }
+  }
+
+  /**
+   * Watch a directory of modules and reload a module when its files change
+   *
+   * Each subdirectory is matched to the registered module of the same name
+   * (or id) and its entry point is re-imported on change. Only the entry
+   * file is re-evaluated; files it imports stay cached by Node.js.
+   *
+   * @param {object} options - Watch options
+   * @param {string} options.dir - Directory containing one subdirectory per module
+   * @param {number} options.debounce - Milliseconds to wait for changes to settle
+   * @param {object} options.logger - Logger (default: the instance logger)
+   * @returns {object} Watcher with a close() method
+   */
+  function watchModules(options = {}) {
+    return watchModuleDirectory({ logger: getLogger(), ...options }, {
+      resolveName: (dirName) => modules[dirName]
+        ? dirName
+        : Object.keys(modules).find(name => modules[name].id === dirName),
+      reload: reloadModule
+    });
+  }
+
+  /**
+   * Collect the health or readiness checks of initialized modules
+   *
+   * @param {string} kind - 'liveness' or 'readiness'
+   * @returns {Array<object>} Checks as { name, check }
+   * @private
+   */
+  function getHealthChecks(kind) {
+    const property = kind === 'readiness' ? 'readinessCheck' : 'healthCheck';
+
+    return Array.from(initialized)
+      .filter(name => typeof modules[name]?.[property] === 'function')
+      .map(name => ({
+        name,
+        check: () => modules[name][property](scopedContexts[name])
+      }));
+  }
+
+  /**
+   * Register the events a module declares it publishes and subscribes to
+   *
+   * Subscription handlers are called with the module as `this`.
+   *
+   * @param {string} name - Module name
+   * @param {object} module - Module definition
+   * @param {object} events - Event bus
+   * @returns {void}
+   * @private
+   */
+  function registerModuleEvents(name, module, events) {
+    const { publishes = [], subscribes = {} } = module.events;
+
+    for (const event of publishes) {
+      events.declarePublisher(event, name);
+    }
+
+    for (const [pattern, handler] of Object.entries(subscribes)) {
+      events.on(pattern, handler.bind(module), { owner: name });
+    }
+  }
+
+  /**
+   * Initialize all registered modules
+   *
+   * Modules without a dependency relationship are initialized concurrently.
+   * Modules disabled through `config.modules.<name>.enabled` or the
+   * `modules.<name>` feature flag are skipped along with their dependents,
+   * and listed with the reason in `context.disabledModules`.
+   *
+   * @param {object} app - Express or compatible app instance
+   * @param {object} config - Application configuration
+   * @param {object} options - Initialization options
+   * @param {number} options.concurrency - Maximum number of modules initializing at once
+   * @param {number} options.initTimeout - Default per-module initialization timeout in ms
+   * @param {string} options.boundaries - Service boundary mode: 'strict', 'warn' (default) or 'off'
+   * @param {object|boolean} options.health - Health route options, or false to not mount /health and /ready
+   * @param {object} options.metrics - Metrics registry (default: the shared default registry)
+   * @param {string|boolean} options.metricsPath - Metrics route (default: '/metrics'), or false to not mount it
+   * @param {object} options.featureFlags - Feature flag provider (default: in-memory flags from config.features)
+   * @param {object} options.state - State store options (initial, persistence, persistDelay)
+   * @param {object} options.logger - Logger exposed as `context.logger` (default: the instance logger)
+   * @param {string} options.routeConflicts - 'error' (default) to fail on conflicting module routes, or 'warn'
+   * @param {object} options.versioning - API versioning options (header, mediaType, defaultVersion, versions)
+   * @returns {Promise<object>} The application context
+   */
+  async function initializeModules(app, config = {}, options = {}) {
+    const {
+      concurrency = Infinity,
+      initTimeout,
+      boundaries = 'warn',
+      health = {},
+      metrics = getDefaultMetricsRegistry(),
+      metricsPath = '/metrics',
+      featureFlags = createFeatureFlags({ flags: config.features }),
+      state: stateOptions = {},
+      routeConflicts = 'error',
+      versioning: versioningOptions
+    } = options;
+    assertBoundaryMode(boundaries);
+    assertRouteConflictMode(routeConflicts);
+    currentOptions = options;
+    currentConfig = config;
+    const logger = getLogger();
+
+    // Clear initialized set if it has values (for tests/reuse)
+    if (initialized.size > 0) {
+      initialized.clear();
+    }
+
+    routeRegistry = createRouteRegistry({ conflicts: routeConflicts, logger });
+    versioning = resolveVersioningOptions(versioningOptions);
+
+    // Resolve the full dependency graph before touching any module
+    let graph;
+    try {
+      graph = getDependencyGraph();
+    } catch (error) {
+      logger.error('Failed to resolve module dependencies', error);
+      throw error;
+    }
+
+    // Skip modules switched off by config or feature flags, and their dependents
+    const features = createFeatureGate(featureFlags, { env: config.env || process.env.NODE_ENV || 'development' });
+    const disabledModules = await resolveDisabledModules(modules, graph, { config, features });
+
+    moduleStatus = {};
+    for (const [name, module] of Object.entries(modules)) {
+      const critical = module.critical !== false;
+      moduleStatus[name] = disabledModules[name]
+        ? { status: 'disabled', critical, reason: disabledModules[name] }
+        : { status: 'pending', critical };
+    }
+
+    for (const [name, reason] of Object.entries(disabledModules)) {
+      logger.info('Skipping module', { module: name, reason });
+    }
+
+    const enabledModules = Object.fromEntries(Object.entries(modules).filter(([name]) => !disabledModules[name]));
+    graph = {
+      ...graph,
+      order: graph.order.filter(name => enabledModules[name]),
+      edges: graph.edges.filter(edge => enabledModules[edge.from] && enabledModules[edge.to])
+    };
+
+    // Validate every module's configuration before initializing any of them
+    let moduleConfig;
+    try {
+      moduleConfig = resolveModuleConfigs(enabledModules, config);
+    } catch (error) {
+      logger.error('Invalid module configuration', error);
+      throw error;
+    }
+
+    // Restore persisted state before any module reads it
+    const state = createStateStore({ logger, ...stateOptions });
+    try {
+      await state.hydrate();
+    } catch (error) {
+      logger.error('Failed to restore state', error);
+      throw error;
+    }
+
+    // Create context object
+    const context = {
+      app,
+      services: {},
+      config: moduleConfig,
+      state,
+      initTimings: {},
+      logger,
+      events: createEventBus({ logger }),
+      health: healthMonitor,
+      metrics,
+      features,
+      disabledModules,
+      runInRequestScope: (fn, init) => requestScope.run(fn, init),
+      subscribeState: state.subscribe,
+      getService: (moduleName, serviceName) => {
+        const moduleServices = context.services[moduleName];
+        if (!moduleServices) {
+          return undefined;
+        }
+
+        return serviceName ? moduleServices[serviceName] : moduleServices;
+      },
+      setState: state.set,
+      getState: state.get
+    };
+
+    currentContext = context;
+
+    // Scope requests and serve health and metrics before modules add their routes
+    healthMonitor.setReady(false);
+    healthMonitor.configure(health || {});
+
+    if (app && !coreRoutesMounted.has(app)) {
+      requestScope.install(app);
+
+      if (health !== false) {
+        healthMonitor.mount(app);
+      }
+
+      if (metricsPath !== false) {
+        app.get(metricsPath, createMetricsHandler(metrics));
+      }
+
+      coreRoutesMounted.add(app);
+    }
+
+    const moduleMetrics = getModuleMetrics(metrics);
+
+    // Trigger beforeAllInit hooks
+    await triggerLifecycleHooks('beforeAllInit', context);
+
+    // Initialize modules in dependency order, independent ones in parallel
+    try {
+      await runInDependencyOrder(graph, async (name) => {
+        const startedAt = Date.now();
+        try {
+          await initializeWithPolicy(name, context, initTimeout);
+          if (initialized.has(name)) {
+            moduleMetrics.initDuration.set({ module: name }, (Date.now() - startedAt) / 1000);
+          }
+        } finally {
+          context.initTimings[name] = { startedAt, duration: Date.now() - startedAt };
+        }
+      }, { concurrency });
+    } catch (error) {
+      logger.error('Failed to initialize module', { module: error.module, err: error });
+      throw error;
+    }
+
+    // Trigger afterAllInit hooks
+    await triggerLifecycleHooks('afterAllInit', context);
+
+    scheduler.start();
+    context.health.setReady(true);
+    return context;
+  }
+
+  /**
+   * Gracefully shutdown all modules
+   *
+   * Modules are shut down in reverse dependency order, so a module always
+   * shuts down before the modules it depends on; independent modules may
+   * shut down in parallel up to the concurrency limit. A module that fails or
+   * exceeds its shutdown timeout is reported but does not stop the others.
+   *
+   * @param {object} context - Application context
+   * @param {object} options - Shutdown options
+   * @param {number} options.concurrency - Maximum number of modules shut down at once (default: 1)
+   * @param {number} options.shutdownTimeout - Default per-module timeout in ms; modules can override it with `shutdownTimeout`
+   * @returns {Promise<{ failures: Error[] }>} Shutdown errors, each with the failing module as `error.module`
+   */
+  async function shutdownModules(context, options = {}) {
+    const { concurrency = 1, shutdownTimeout } = options;
+    const failures = [];
+
+    // Stop reporting ready and running new jobs as soon as shutdown begins
+    context.health?.setReady(false);
+    scheduler.stop();
+
+    // Trigger beforeShutdown hooks
+    await triggerLifecycleHooks('beforeShutdown', context);
+
+    // Shutdown modules in reverse dependency order
+    await runInDependencyOrder(getShutdownGraph(), async (name) => {
+      const error = await unloadModule(name, context, { detachRoutes: false, timeout: shutdownTimeout });
+      if (error) {
+        failures.push(error);
+      }
+    }, { concurrency, reverse: true });
+
+    // Clear initialized modules and any remaining event subscriptions
+    initialized.clear();
+    context.events?.removeAll();
+
+    // Save any state changes not yet persisted
+    await context.state?.flush?.();
+
+    if (currentContext === context) {
+      currentContext = null;
+    }
+
+    // Trigger afterShutdown hooks
+    await triggerLifecycleHooks('afterShutdown', context);
+
+    return { failures };
+  }
+
+  /**
+   * Build the dependency graph of the initialized modules
+   *
+   * Falls back to initialization order without edges if the registry no
+   * longer forms a valid graph.
+   *
+   * @returns {{ order: string[], edges: object[] }} Graph to shut down
+   * @private
+   */
+  function getShutdownGraph() {
+    try {
+      const { order, edges } = buildDependencyGraph(modules);
+
+      return {
+        order: order.filter(name => initialized.has(name)),
+        edges: edges.filter(edge => initialized.has(edge.from) && initialized.has(edge.to))
+      };
+    } catch {
+      return { order: Array.from(initialized), edges: [] };
+    }
+  }
+
+  /**
+   * Shut the application down gracefully on SIGTERM and SIGINT
+   *
+   * Marks the application as not ready, stops the server accepting new
+   * connections, drains in-flight requests, shuts down the initialized
+   * modules in reverse dependency order and exits with status 0, or 1 if
+   * anything failed or timed out.
+   *
+   * @param {object} server - Node HTTP server returned by listen(), or a Fastify app from createApp()
+   * @param {object} options - Shutdown options
+   * @param {number} options.drainTimeout - Milliseconds to wait for in-flight requests (default: 10000)
+   * @param {number} options.shutdownTimeout - Default per-module shutdown timeout in ms (default: 10000)
+   * @param {number} options.concurrency - Maximum number of modules shut down at once (default: 1)
+   * @param {number} options.delay - Milliseconds to keep serving after the signal (default: 0)
+   * @param {string[]} options.signals - Signals to handle (default: ['SIGTERM', 'SIGINT'])
+   * @param {Function|false} options.exit - Called with the exit code (default: process.exit)
+   * @param {object} options.logger - Logger (default: the instance logger)
+   * @returns {object} Handle with shutdown(reason) and remove()
+   */
+  function enableGracefulShutdown(server, options = {}) {
+    const { shutdownTimeout = 10000, concurrency, ...shutdownOptions } = options;
+
+    return createGracefulShutdown({
+      logger: getLogger(),
+      ...shutdownOptions,
+      server,
+      onSignal: () => currentContext?.health?.setReady(false),
+      shutdown: () => currentContext
+        ? shutdownModules(currentContext, { shutdownTimeout, concurrency })
+        : { failures: [] }
+    });
+  }
+
+  /**
+   * Forget all registered modules, lifecycle hooks and initialization state
+   *
+   * Does not call module shutdown functions; use dispose() for that.
+   *
+   * @returns {void}
+   */
+  function reset() {
+    for (const name of Object.keys(modules)) {
+      requestScope.unregister(name);
+      scheduler.unregister(name);
+    }
+
+    scheduler.stop();
+
+    modules = {};
+    lifecycleHooks = {};
+    initialized.clear();
+    moduleStatus = {};
+    currentContext = null;
+    currentOptions = {};
+    currentConfig = {};
+    healthMonitor.setReady(false);
+
+    for (const name of Object.keys(moduleRoutes)) {
+      delete moduleRoutes[name];
+    }
+
+    for (const name of Object.keys(routeAnchors)) {
+      delete routeAnchors[name];
+    }
+
+    routeRegistry = createRouteRegistry();
+    versioning = resolveVersioningOptions();
+
+    for (const name of Object.keys(scopedContexts)) {
+      delete scopedContexts[name];
+    }
+  }
+
+  /**
+   * Shut down any initialized modules and then reset the instance
+   *
+   * @returns {Promise<void>}
+   */
+  async function dispose() {
+    if (currentContext && initialized.size > 0) {
+      await shutdownModules(currentContext);
+    }
+
+    reset();
+  }
+
+  return {
+    registerModule,
+    unregisterModule,
+    reloadModule,
+    watchModules,
+    discoverModules,
+    getModule,
+    getAllModules,
+    getDependencyGraph,
+    getModuleStatus,
+    getRoutes,
+    getApiVersions,
+    getJobs,
+    runJob,
+    registerLifecycleHook,
+    initializeModules,
+    shutdownModules,
+    enableGracefulShutdown,
+    reset,
+    dispose
+  };
 }
 
 /**
- * Get a registered module by name
+ * Wrap an app so the routes a module registers respond 503
  *
+ * Used for degraded modules: route registrations get a handler reporting
+ * the module as unavailable, and middleware without a path is ignored.
+ *
+ * @param {object} app - Application instance
  * @param {string} name - Module name
- * @returns {object|undefined} The module or undefined if not found
+ * @returns {object} App proxy
+ * @private
  */
-export function getModule(name) {
-  return modules[name];
-}
+function createUnavailableApp(app, name) {
+  const unavailable = (req, res) => {
+    res.status(503).json({ error: 'Service Unavailable', message: `Module ${name} is unavailable` });
+  };
 
-/**
- * Get all registered modules
- *
- * @returns {object} An object containing all registered modules
- */
-export function getAllModules() {
-  return { ...modules };
+  return new Proxy(app, {
+    get(target, key) {
+      if (!ROUTE_METHODS.includes(key)) {
+        return Reflect.get(target, key);
+      }
+
+      return (path, ...handlers) => {
+        // app.get(setting) reads an Express setting
+        if (handlers.length === 0) {
+          return key === 'get' ? target.get(path) : target;
+        }
+
+        if (typeof path === 'function') {
+          return target;
+        }
+
+        return target[key](path, unavailable);
+      };
+    }
+  });
 }
 
 /**
- * Register a lifecycle hook for a specific event
+ * Normalize a lifecycle hook module filter into a predicate
  *
- * @param {string} event - Lifecycle event name (e.g., 'beforeInit', 'afterInit', 'beforeShutdown')
- * @param {Function} callback - Function to call when the event occurs
- * @returns {void}
+ * @param {string|string[]|Function} filter - Module name(s) or predicate
+ * @returns {Function|null} Predicate, or null to match every module
+ * @private
  */
-export function registerLifecycleHook(event, callback) {
-  if (!lifecycleHooks[event]) {
-    lifecycleHooks[event] = [];
+function createModuleFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+
+  if (typeof filter === 'function') {
+    return filter;
   }
 
-  lifecycleHooks[event].push(callback);
+  const names = new Set([].concat(filter));
+  return (name) => names.has(name);
 }
 
 /**
- * Trigger lifecycle hooks for a specific event
+ * Create a view of the event bus whose subscriptions belong to a module
  *
- * @param {string} event - Lifecycle event name
- * @param {object} context - Application context
- * @returns {Promise<void>}
+ * @param {object} events - Application event bus
+ * @param {string} name - Module name
+ * @returns {object} Event bus adding the module as owner to on() and once()
  * @private
  */
-async function triggerLifecycleHooks(event, context) {
-  const hooks = lifecycleHooks[event] || [];
-
-  for (const hook of hooks) {
-    await Promise.resolve(hook(context));
-  }
+function createModuleEvents(events, name) {
+  return {
+    ...events,
+    on: (pattern, handler, options = {}) => events.on(pattern, handler, { ...options, owner: name }),
+    once: (pattern, handler, options = {}) => events.once(pattern, handler, { ...options, owner: name })
+  };
 }
 
 /**
- * Initialize a single module and its dependencies
+ * Get the Express router stack of an app, if it has one
  *
- * @param {string} name - Module name
- * @param {object} context - Application context
- * @returns {Promise<void>}
+ * @param {object} app - Application instance
+ * @returns {Array<object>|null} Router layers or null
  * @private
  */
-async function initializeModule(name, context) {
-  // Skip if already initialized
-  if (initialized.has(name)) {
-    return;
+function getRouterStack(app) {
+  if (!app) {
+    return null;
   }
 
-  const module = modules[name];
-  if (!module) {
-    throw new Error(`Module ${name} not found`);
+  if (app._router) {
+    return app._router.stack;
   }
 
-  // Initialize dependencies first
-  if (module.dependencies && Array.isArray(module.dependencies)) {
-    for (const dep of module.dependencies) {
-      if (!modules[dep]) {
-        throw new Error(`Dependency "${dep}" required by "${name}" is not registered`);
-      }
-
-      await initializeModule(dep, context);
-    }
+  // Express 5 exposes the router as app.router; Express 4 throws on access
+  try {
+    return app.router?.stack ?? null;
+  } catch (error) {
+    return null;
   }
+}
 
-  // Initialize the module
-  try {
-    // Trigger beforeInit hooks
-    await triggerLifecycleHooks('beforeInit', { ...context, moduleName: name });
+// Default instance backing the named exports
+const defaultModuleSystem = createModuleSystem();
 
-    if (typeof module.initialize === 'function') {
-      await Promise.resolve(module.initialize(context));
-    }
+/**
+ * Get the default module system instance used by the named exports
+ *
+ * @returns {object} The default module system
+ */
+export function getDefaultModuleSystem() {
+  return defaultModuleSystem;
+}
 
-    // Register routes if available
-    if (typeof module.routes === 'function' && context.app) {
-      module.routes(context.app);
-    }
+/**
+ * Register a module with the default module system
+ *
+ * @param {string} name - Unique module name
+ * @param {object} module - Module implementation
+ * @returns {object} The registered module
+ * @throws {Error} If the module is invalid
+ */
+export function registerModule(name, module) {
+  return defaultModuleSystem.registerModule(name, module);
+}
 
-    // Register services
-    if (module.services) {
-      context.services[name] = module.services;
-    }
+/**
+ * Remove a module from the default module system at runtime
+ *
+ * @param {string} name - Module name
+ * @returns {Promise<boolean>} True if the module was registered
+ * @throws {Error} If other registered modules require the module
+ */
+export function unregisterModule(name) {
+  return defaultModuleSystem.unregisterModule(name);
+}
 
-    // Mark as initialized
-    initialized.add(name);
-    console.log(`Initialized module: ${name}`);
+/**
+ * Replace a module's definition at runtime (for development)
+ *
+ * @param {string} name - Module name
+ * @param {object} newDefinition - Replacement module definition
+ * @returns {Promise<object>} The new module definition
+ */
+export function reloadModule(name, newDefinition) {
+  return defaultModuleSystem.reloadModule(name, newDefinition);
+}
 
-    // Trigger afterInit hooks
-    await triggerLifecycleHooks('afterInit', { ...context, moduleName: name });
-  } catch (error) {
-    error.module = name;
-    throw error;
-  }
+/**
+ * Watch a directory of modules and reload them when their files change
+ *
+ * @param {object} options - Watch options (dir, debounce)
+ * @returns {object} Watcher with a close() method
+ */
+export function watchModules(options = {}) {
+  return defaultModuleSystem.watchModules(options);
 }
 
 /**
- * Initialize all registered modules
+ * Discover and register the modules in a directory
  *
- * @param {object} app - Express or compatible app instance
- * @param {object} config - Application configuration
- * @returns {Promise<object>} The application context
+ * @param {object} options - Discovery options (dir, env, requireManifest)
+ * @returns {Promise<object>} Report with registered, skipped and failed modules
  */
-export async function initializeModules(app, config = {}) {
-  // Clear initialized set if it has values (for tests/reuse)
-  if (initialized.size > 0) {
-    initialized.clear();
-  }
+export function discoverModules(options = {}) {
+  return defaultModuleSystem.discoverModules(options);
+}
 
-  // Create context object
-  const context = {
-    app,
-    services: {},
-    config,
-    state: {},
-    getService: (moduleName, serviceName) => {
-      const moduleServices = context.services[moduleName];
-      if (!moduleServices) {
-        return undefined;
-      }
+/**
+ * Get a registered module by name
+ *
+ * @param {string} name - Module name
+ * @returns {object|undefined} The module or undefined if not found
+ */
+export function getModule(name) {
+  return defaultModuleSystem.getModule(name);
+}
 
-      return serviceName ? moduleServices[serviceName] : moduleServices;
-    },
-    setState: (key, value) => {
-      context.state[key] = value;
-    },
-    getState: (key, defaultValue) => {
-      return context.state[key] !== undefined ? context.state[key] : defaultValue;
-    }
-  };
+/**
+ * Get all registered modules
+ *
+ * @returns {object} An object containing all registered modules
+ */
+export function getAllModules() {
+  return defaultModuleSystem.getAllModules();
+}
 
-  // Trigger beforeAllInit hooks
-  await triggerLifecycleHooks('beforeAllInit', context);
+/**
+ * Build the dependency graph of all registered modules
+ *
+ * @returns {object} Graph with nodes, edges and order
+ * @throws {Error} If a dependency is missing or the graph contains a cycle
+ */
+export function getDependencyGraph() {
+  return defaultModuleSystem.getDependencyGraph();
+}
 
-  // Initialize each module
-  for (const name of Object.keys(modules)) {
-    try {
-      await initializeModule(name, context);
-    } catch (error) {
-      console.error(`Failed to initialize module ${error.module || name}:`, error);
-      throw error;
-    }
-  }
+/**
+ * Get the initialization status of one module or of every module
+ *
+ * @param {string} name - Module name; omit for every module
+ * @returns {object|undefined} Status, or statuses keyed by module name
+ */
+export function getModuleStatus(name) {
+  return defaultModuleSystem.getModuleStatus(name);
+}
 
-  // Trigger afterAllInit hooks
-  await triggerLifecycleHooks('afterAllInit', context);
+/**
+ * List the routes registered by modules
+ *
+ * @param {string|object} filter - Module name, or { module, version }
+ * @returns {Array<object>} Routes with method, full path, module and, for versioned routes, version
+ */
+export function getRoutes(filter) {
+  return defaultModuleSystem.getRoutes(filter);
+}
+
+/**
+ * List the API versions with their routes
+ *
+ * @returns {Array<object>} Versions from oldest to newest, with deprecated, sunset and routes
+ */
+export function getApiVersions() {
+  return defaultModuleSystem.getApiVersions();
+}
+
+/**
+ * List the scheduled jobs of initialized modules
+ *
+ * @returns {Array<object>} Jobs with their schedule and last run
+ */
+export function getJobs() {
+  return defaultModuleSystem.getJobs();
+}
 
-  return context;
+/**
+ * Run a scheduled job now
+ *
+ * @param {string} name - Job name as '<module>.<job>'
+ * @returns {Promise<object>} Outcome of the run
+ */
+export function runJob(name) {
+  return defaultModuleSystem.runJob(name);
+}
+
+/**
+ * Register a lifecycle hook for a specific event
+ *
+ * @param {string} event - Lifecycle event name (e.g., 'beforeInit', 'afterInit', 'beforeShutdown')
+ * @param {Function} callback - Function to call when the event occurs
+ * @param {object} options - Hook options (priority, modules, onError)
+ * @returns {Function} Function that removes the hook
+ */
+export function registerLifecycleHook(event, callback, options = {}) {
+  return defaultModuleSystem.registerLifecycleHook(event, callback, options);
+}
+
+/**
+ * Initialize all registered modules
+ *
+ * @param {object} app - Express or compatible app instance
+ * @param {object} config - Application configuration
+ * @param {object} options - Initialization options (concurrency, initTimeout, boundaries, health, metrics, metricsPath, featureFlags, state)
+ * @returns {Promise<object>} The application context
+ */
+export function initializeModules(app, config = {}, options = {}) {
+  return defaultModuleSystem.initializeModules(app, config, options);
 }
 
 /**
  * Gracefully shutdown all modules
  *
  * @param {object} context - Application context
- * @returns {Promise<void>}
+ * @param {object} options - Shutdown options (concurrency, shutdownTimeout)
+ * @returns {Promise<{ failures: Error[] }>} Shutdown errors
  */
-export async function shutdownModules(context) {
-  // Trigger beforeShutdown hooks
-  await triggerLifecycleHooks('beforeShutdown', context);
-
-  // Shutdown modules in reverse initialization order
-  const moduleNames = Array.from(initialized);
+export function shutdownModules(context, options = {}) {
+  return defaultModuleSystem.shutdownModules(context, options);
+}
 
-  for (let i = moduleNames.length - 1; i >= 0; i--) {
-    const name = moduleNames[i];
-    const module = modules[name];
+/**
+ * Shut the application down gracefully on SIGTERM and SIGINT
+ *
+ * @param {object} server - Node HTTP server returned by listen(), or a Fastify app from createApp()
+ * @param {object} options - Shutdown options (drainTimeout, shutdownTimeout, concurrency, delay, signals, exit)
+ * @returns {object} Handle with shutdown(reason) and remove()
+ */
+export function enableGracefulShutdown(server, options = {}) {
+  return defaultModuleSystem.enableGracefulShutdown(server, options);
+}
 
-    if (typeof module.shutdown === 'function') {
-      try {
-        await Promise.resolve(module.shutdown(context));
-        console.log(`Shutdown module: ${name}`);
-      } catch (error) {
-        console.error(`Error shutting down module ${name}:`, error);
-      }
-    }
-  }
+/**
+ * Reset the default module system (for tests)
+ *
+ * @returns {void}
+ */
+export function resetModules() {
+  defaultModuleSystem.reset();
+}
 
-  // Clear initialized modules
-  initialized.clear();
+/**
+ * Shut down and reset the default module system (for tests)
+ *
+ * @returns {Promise<void>}
+ */
+export function disposeModules() {
+  return defaultModuleSystem.dispose();
+}
 
-  // Trigger afterShutdown hooks
-  await triggerLifecycleHooks('afterShutdown', context);
+/**
+ * Pick one module's section of a configuration object
+ *
+ * @param {object} config - Configuration
+ * @param {string} id - Module id
+ * @returns {object} Object holding only the module's section
+ * @private
+ */
+function pickConfig(config, id) {
+  return { [id]: config[id] };
 }
@@ -0,0 +1,258 @@
+/**
+ * Request scope
+ *
+ * Every request handled by an initialized app runs inside an
+ * AsyncLocalStorage scope, so code anywhere down the call chain can reach
+ * the current request through getRequestContext() instead of threading it
+ * through by hand.
+ *
+ * Modules can declare request-scoped services:
+ *
+ *   requestServices: {
+ *     transaction: {
+ *       create: (request, context) => db.begin(),
+ *       dispose: (transaction) => transaction.release()
+ *     }
+ *   }
+ *
+ * A request-scoped service is created the first time it is requested during
+ * a request, shared for the rest of that request, and disposed once the
+ * response has finished.
+ *
+ * The request id comes from the X-Request-Id header when present, is echoed
+ * back in the response, and is attached to every log entry written while
+ * the request is handled.
+ */
+
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import { getDefaultLogger } from './logger.js';
+import { generateId } from './utils.js';
+
+const storage = new AsyncLocalStorage();
+const kResource = Symbol('requestScopeResource');
+
+/**
+ * Get the context of the request being handled
+ *
+ * @returns {object|undefined} Request context, or undefined outside a request
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Create a registry of request-scoped service factories
+ *
+ * @param {object} options - Scope options
+ * @param {object} options.logger - Logger for disposal errors (default: the default logger)
+ * @returns {object} Request scope with register, unregister, run and install
+ */
+export function createRequestScope(options = {}) {
+  const factories = {};
+
+  /**
+   * Register a module's request-scoped service factories
+   *
+   * @param {string} owner - Module name
+   * @param {object} services - Factories keyed by service name; each a function or { create, dispose }
+   * @param {object} context - Context passed to the factories
+   * @returns {void}
+   */
+  function register(owner, services, context) {
+    factories[owner] = {};
+
+    for (const [name, definition] of Object.entries(services)) {
+      const { create, dispose } = typeof definition === 'function' ? { create: definition } : definition;
+
+      if (typeof create !== 'function') {
+        throw new Error(`Request service "${owner}.${name}" must be a function or have a create function`);
+      }
+
+      factories[owner][name] = { create, dispose, context };
+    }
+  }
+
+  /**
+   * Remove a module's request-scoped service factories
+   *
+   * @param {string} owner - Module name
+   * @returns {void}
+   */
+  function unregister(owner) {
+    delete factories[owner];
+  }
+
+  /**
+   * Run a function inside a new request scope
+   *
+   * Useful outside HTTP handling, e.g. for jobs or tests. The scope is
+   * disposed when the function settles.
+   *
+   * @param {Function} fn - Function to run
+   * @param {object} init - Request details (id, req, res, tenant, ...)
+   * @returns {Promise<any>} Result of the function
+   */
+  async function run(fn, init = {}) {
+    const requestContext = createRequestContext(init);
+
+    try {
+      return await storage.run(requestContext, fn);
+    } finally {
+      await requestContext.dispose();
+    }
+  }
+
+  /**
+   * Run every request to an app inside a request scope
+   *
+   * Uses hooks on Fastify apps created by createApp() and middleware on
+   * Express (or compatible) apps.
+   *
+   * @param {object} app - Application instance
+   * @returns {void}
+   */
+  function install(app) {
+    const fastify = app._raw;
+
+    if (fastify && typeof fastify.addHook === 'function') {
+      fastify.addHook('onRequest', (request, reply, done) => {
+        const requestContext = createRequestContext({ req: request, res: reply, raw: reply.raw });
+        reply.header('X-Request-Id', requestContext.id);
+
+        storage.run(requestContext, () => {
+          request[kResource] = new AsyncResource('requestScope');
+          request[kResource].runInAsyncScope(done);
+        });
+      });
+
+      // Body parsing loses the async context, so restore it before handlers run
+      fastify.addHook('preHandler', (request, reply, done) => {
+        request[kResource].runInAsyncScope(done);
+      });
+
+      return;
+    }
+
+    app.use((req, res, next) => {
+      const requestContext = createRequestContext({ req, res, raw: res });
+      res.setHeader('X-Request-Id', requestContext.id);
+
+      storage.run(requestContext, next);
+    });
+  }
+
+  /**
+   * Create the context of a single request
+   *
+   * @param {object} init - Request details; `raw` is the Node response used to detect the end
+   * @returns {object} Request context
+   * @private
+   */
+  function createRequestContext(init) {
+    const { raw, ...details } = init;
+    const values = new Map();
+    const instances = new Map();
+    let disposed = null;
+
+    const requestContext = {
+      id: details.id || details.req?.headers?.['x-request-id'] || generateId(16),
+      startedAt: Date.now(),
+      ...details,
+
+      /**
+       * Get a value stored on the request
+       *
+       * @param {string} key - Key
+       * @param {any} defaultValue - Value when the key is not set
+       * @returns {any} Value
+       */
+      get(key, defaultValue) {
+        return values.has(key) ? values.get(key) : defaultValue;
+      },
+
+      /**
+       * Store a value on the request
+       *
+       * @param {string} key - Key
+       * @param {any} value - Value
+       * @returns {void}
+       */
+      set(key, value) {
+        values.set(key, value);
+      },
+
+      /**
+       * Get a request-scoped service, creating it on first use
+       *
+       * @param {string} moduleName - Module that declares the service
+       * @param {string} serviceName - Service name
+       * @returns {any} Service instance
+       */
+      getService(moduleName, serviceName) {
+        const key = `${moduleName}.${serviceName}`;
+
+        if (!instances.has(key)) {
+          const factory = factories[moduleName]?.[serviceName];
+
+          if (!factory) {
+            throw new Error(`Request service "${key}" is not registered`);
+          }
+
+          if (disposed) {
+            throw new Error(`Request service "${key}" requested after the request ended`);
+          }
+
+          instances.set(key, { factory, instance: factory.create(requestContext, factory.context) });
+        }
+
+        return instances.get(key).instance;
+      },
+
+      /**
+       * Dispose the request-scoped services created during the request
+       *
+       * Services are disposed in reverse creation order. Errors are logged.
+       *
+       * @returns {Promise<void>}
+       */
+      dispose() {
+        if (!disposed) {
+          disposed = disposeInstances(Array.from(instances.entries()).reverse(), options.logger || getDefaultLogger());
+        }
+
+        return disposed;
+      }
+    };
+
+    if (raw) {
+      raw.once('finish', requestContext.dispose);
+      raw.once('close', requestContext.dispose);
+    }
+
+    return requestContext;
+  }
+
+  return { register, unregister, run, install };
+}
+
+/**
+ * Dispose service instances
+ *
+ * @param {Array} entries - [key, { factory, instance }] pairs
+ * @param {object} logger - Logger for disposal errors
+ * @returns {Promise<void>}
+ * @private
+ */
+async function disposeInstances(entries, logger) {
+  for (const [key, { factory, instance }] of entries) {
+    if (typeof factory.dispose !== 'function') {
+      continue;
+    }
+
+    try {
+      await factory.dispose(await instance);
+    } catch (error) {
+      logger.error(`Error disposing request service ${key}`, error);
+    }
+  }
+}
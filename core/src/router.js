@@ -0,0 +1,403 @@
+/**
+ * Scoped module routers and the route registry
+ *
+ * A module's `routes(router)` receives a router scoped to the module rather
+ * than the global app. Paths are relative to the module's prefix, which
+ * defaults to `/api/<id>` (versioned prefixes are built by versioning.js).
+ *
+ * Middleware added with `router.use(fn)` or declared as `middleware` on the
+ * module only runs for the module's own routes:
+ *
+ *   prefix: '/api/auth',
+ *   middleware: [rateLimit],
+ *   routes(router) {
+ *     router.use(audit);
+ *     router.post('/login', login);   // POST /api/auth/login
+ *     router.post('/register', { schema: { body } }, register);
+ *   }
+ *
+ * Routes can declare JSON Schemas for their params, body, query and
+ * headers (see validation.js).
+ *
+ * Every route is recorded with its method, full path and module, so
+ * conflicting routes are detected when they are registered. The router
+ * only calls the standard route methods of the app, so it works on Express
+ * and on the Fastify app created by createApp().
+ */
+
+import { getDefaultLogger } from './logger.js';
+import {
+  createDeprecationMiddleware,
+  createVersionDispatcher,
+  resolveVersionedPrefix,
+  resolveVersioningOptions
+} from './versioning.js';
+import { validateRequest } from './validation.js';
+
+export const ROUTE_CONFLICT_MODES = ['error', 'warn'];
+
+// Methods a scoped router registers routes for
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+/**
+ * Create a registry of the routes registered by modules
+ *
+ * @param {object} options - Registry options
+ * @param {string} options.conflicts - 'error' (default) to throw on conflicting routes, or 'warn' to log them
+ * @param {object} options.logger - Logger for conflict warnings (default: the default logger)
+ * @returns {object} Registry with add, removeModule and list
+ */
+export function createRouteRegistry(options = {}) {
+  const conflicts = options.conflicts || 'error';
+  let routes = [];
+
+  assertRouteConflictMode(conflicts);
+
+  /**
+   * Record a route, checking it against the routes already registered
+   *
+   * Routes conflict when their methods overlap and their paths are the same
+   * apart from parameter names.
+   *
+   * @param {object} route - Route with method, path, module and optional version details
+   * @returns {void}
+   * @throws {Error} If the route conflicts and conflicts are errors
+   */
+  function add(route) {
+    const key = normalizePath(route.path);
+    const existing = routes.find(other => normalizePath(other.path) === key &&
+      (other.method === route.method || other.method === 'ALL' || route.method === 'ALL'));
+
+    if (existing) {
+      const message = `Route ${route.method} ${route.path} of module "${route.module}" conflicts with ` +
+        `${existing.method} ${existing.path} of module "${existing.module}"`;
+
+      if (conflicts === 'error') {
+        const error = new Error(message);
+        error.code = 'ROUTE_CONFLICT';
+        error.module = route.module;
+        throw error;
+      }
+
+      (options.logger || getDefaultLogger()).warn(message, { module: route.module });
+    }
+
+    routes.push({ ...route });
+  }
+
+  /**
+   * Forget the routes of a module
+   *
+   * @param {string} name - Module name
+   * @returns {void}
+   */
+  function removeModule(name) {
+    routes = routes.filter(route => route.module !== name);
+  }
+
+  /**
+   * List the registered routes
+   *
+   * @param {string|object} filter - Module name, or { module, version }
+   * @returns {Array<object>} Routes with method, path, module and, for versioned routes, version
+   */
+  function list(filter = {}) {
+    const { module, version } = typeof filter === 'string' ? { module: filter } : filter;
+
+    return routes
+      .filter(route => module === undefined || route.module === module)
+      .filter(route => version === undefined || route.version === version)
+      .map(route => ({ ...route }));
+  }
+
+  return { add, removeModule, list };
+}
+
+/**
+ * Create a router scoped to a module
+ *
+ * @param {object} app - Application instance the routes are registered on
+ * @param {object} options - Router options
+ * @param {string} options.module - Module name
+ * @param {string} options.prefix - Path prefix of every route ('' for none), optionally containing `{version}`
+ * @param {Function[]} options.middleware - Middleware run before every route of the module
+ * @param {object} options.registry - Route registry from createRouteRegistry()
+ * @param {object} options.versions - Version metadata ({ deprecated, sunset, link }) keyed by version
+ * @param {object} options.versioning - Versioning options (see resolveVersioningOptions())
+ * @returns {object} Router with use, all, version and the HTTP method functions
+ */
+export function createModuleRouter(app, options) {
+  return buildRouter(app, {
+    ...options,
+    versions: options.versions || {},
+    versioning: resolveVersioningOptions(options.versioning),
+    middleware: [...(options.middleware || [])],
+    negotiated: new Map()
+  });
+}
+
+/**
+ * Build a module router, or the router of one API version of a module
+ *
+ * @param {object} app - Application instance
+ * @param {object} options - Router options, plus `version`, `info` and the shared `negotiated` routes
+ * @returns {object} Router
+ * @private
+ */
+function buildRouter(app, options) {
+  const { module, registry, version, info = {}, versioning, negotiated } = options;
+  const prefix = normalizePrefix(resolveVersionedPrefix(options.prefix, version));
+  const middleware = options.middleware;
+  const versionFields = version
+    ? { version, ...(info.deprecated ? { deprecated: true } : {}), ...(info.sunset ? { sunset: info.sunset } : {}) }
+    : {};
+
+  const register = (method, path, args) => {
+    if (typeof path !== 'string') {
+      throw new Error(`Routes of module "${module}" must use string paths`);
+    }
+
+    // Route options ({ schema }) may come before the handlers
+    const [routeOptions, handlers] = isRouteOptions(args[0]) ? [args[0], args.slice(1)] : [{}, args];
+
+    if (handlers.length === 0) {
+      throw new Error(`Route ${method.toUpperCase()} ${path} of module "${module}" has no handler`);
+    }
+
+    const fullPath = joinPaths(prefix, path);
+    const validator = routeOptions.schema ? validateRequest(routeOptions.schema) : null;
+
+    registry?.add({
+      method: method.toUpperCase(),
+      path: fullPath,
+      module,
+      ...versionFields,
+      ...(routeOptions.schema ? { schema: routeOptions.schema } : {})
+    });
+
+    // Validation comes first, so adapters can use native validation
+    const handler = composeHandlers([...middleware, ...handlers.flat()]);
+    mount(method, fullPath, validator ? [validator, handler] : [handler]);
+
+    if (version && (versioning.header || versioning.mediaType)) {
+      negotiate(method, path, validator ? composeHandlers([validator, handler]) : handler);
+    }
+
+    return router;
+  };
+
+  const mount = (method, fullPath, handlers) => {
+    if (method === 'all' && typeof app.all !== 'function') {
+      for (const httpMethod of HTTP_METHODS) {
+        app[httpMethod](fullPath, ...handlers);
+      }
+    } else {
+      app[method](fullPath, ...handlers);
+    }
+  };
+
+  // Make a versioned route reachable without the version in the path
+  const negotiate = (method, path, handler) => {
+    const unversionedPath = joinPaths(normalizePrefix(resolveVersionedPrefix(options.prefix, null)), path);
+    const key = `${method} ${unversionedPath}`;
+
+    if (!negotiated.has(key)) {
+      registry?.add({ method: method.toUpperCase(), path: unversionedPath, module, negotiated: true });
+
+      const routes = new Map();
+      negotiated.set(key, routes);
+      mount(method, unversionedPath, [createVersionDispatcher(routes, versioning)]);
+    }
+
+    negotiated.get(key).set(version, { handler, info });
+  };
+
+  const router = {
+    /**
+     * Full path prefix of the module's routes
+     */
+    prefix,
+
+    /**
+     * API version of the routes, or null
+     */
+    apiVersion: version || null,
+
+    /**
+     * The global application, for the rare cases a module needs it
+     */
+    app,
+
+    /**
+     * Add middleware
+     *
+     * Without a path the middleware runs before every route of the module
+     * registered after it. With a path it is mounted on the app below the
+     * module's prefix.
+     *
+     * @param {string|Function} path - Sub-path, or the first middleware
+     * @param {...Function} handlers - Middleware
+     * @returns {object} The router
+     */
+    use(path, ...handlers) {
+      if (typeof path !== 'string') {
+        middleware.push(...[path, ...handlers].flat());
+        return router;
+      }
+
+      const fullPath = joinPaths(prefix, path);
+      registry?.add({ method: 'USE', path: fullPath, module, ...versionFields });
+      app.use(fullPath, composeHandlers([...middleware, ...handlers.flat()]));
+      return router;
+    },
+
+    all: (path, ...handlers) => register('all', path, handlers),
+
+    /**
+     * Get a router for one API version of the module's routes
+     *
+     * The version router starts with the middleware added so far, plus
+     * deprecation headers if the version is deprecated.
+     *
+     * @param {string} versionName - API version, e.g. 'v2'
+     * @param {object|Function} versionInfo - Metadata ({ deprecated, sunset, link }) overriding the declared one, or `register`
+     * @param {Function} registerRoutes - Called with the version router
+     * @returns {object} Version router
+     */
+    version(versionName, versionInfo, registerRoutes) {
+      if (version) {
+        throw new Error(`Routes of module "${module}" can't be nested in more than one version`);
+      }
+
+      if (!versionName || typeof versionName !== 'string') {
+        throw new Error(`API version of module "${module}" must be a non-empty string`);
+      }
+
+      if (typeof versionInfo === 'function') {
+        [versionInfo, registerRoutes] = [{}, versionInfo];
+      }
+
+      const merged = { ...versioning.versions[versionName], ...options.versions[versionName], ...versionInfo };
+      const deprecation = createDeprecationMiddleware(merged);
+      const versionRouter = buildRouter(app, {
+        ...options,
+        version: versionName,
+        info: merged,
+        middleware: deprecation ? [deprecation, ...middleware] : [...middleware]
+      });
+
+      registerRoutes?.(versionRouter);
+      return versionRouter;
+    }
+  };
+
+  for (const method of HTTP_METHODS) {
+    router[method] = (path, ...handlers) => {
+      // router.get(setting) reads an Express setting
+      if (method === 'get' && handlers.length === 0 && typeof app.set === 'function') {
+        return app.get(path);
+      }
+
+      return register(method, path, handlers);
+    };
+  }
+
+  return router;
+}
+
+/**
+ * Check that a route conflict mode is supported
+ *
+ * @param {string} mode - Conflict mode
+ * @returns {void}
+ * @throws {Error} If the mode is unknown
+ */
+export function assertRouteConflictMode(mode) {
+  if (!ROUTE_CONFLICT_MODES.includes(mode)) {
+    throw new Error(`Invalid route conflict mode "${mode}". Use one of: ${ROUTE_CONFLICT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Combine middleware and handlers into a single handler
+ *
+ * Each function is called with (req, res, next). An error passed to next,
+ * thrown, or rejected skips the remaining functions and is passed to the
+ * app's next function.
+ *
+ * @param {Function[]} handlers - Middleware and handlers, in order
+ * @returns {Function} Handler
+ * @private
+ */
+function composeHandlers(handlers) {
+  if (handlers.length === 1) {
+    return handlers[0];
+  }
+
+  return (req, res, next) => {
+    const dispatch = (index, error) => {
+      if (error || index === handlers.length) {
+        return next(error);
+      }
+
+      try {
+        const result = handlers[index](req, res, (nextError) => dispatch(index + 1, nextError));
+        return result && typeof result.then === 'function' ? result.then(undefined, next) : result;
+      } catch (handlerError) {
+        return next(handlerError);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Check whether a route argument is an options object rather than a handler
+ *
+ * @param {any} value - First argument after the path
+ * @returns {boolean} True for route options
+ * @private
+ */
+function isRouteOptions(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a route prefix to '' or '/segment...' without a trailing slash
+ *
+ * @param {string} prefix - Prefix
+ * @returns {string} Normalized prefix
+ * @private
+ */
+function normalizePrefix(prefix) {
+  if (!prefix || prefix === '/') {
+    return '';
+  }
+
+  return `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+}
+
+/**
+ * Join a prefix and a route path
+ *
+ * @param {string} prefix - Normalized prefix
+ * @param {string} path - Route path
+ * @returns {string} Full path
+ * @private
+ */
+function joinPaths(prefix, path) {
+  const relative = path === '/' ? '' : `/${path.replace(/^\/+/, '')}`;
+  return `${prefix}${relative}` || '/';
+}
+
+/**
+ * Normalize a path for conflict checks, so parameter names don't matter
+ *
+ * @param {string} path - Route path
+ * @returns {string} Normalized path
+ * @private
+ */
+function normalizePath(path) {
+  return path.replace(/:[^/]+/g, ':').replace(/\/+$/, '') || '/';
+}
@@ -0,0 +1,271 @@
+/**
+ * Minimal semantic versioning support for module version constraints
+ *
+ * Covers the range syntax commonly used in package.json: exact versions,
+ * comparators (>, >=, <, <=, =), caret (^) and tilde (~) ranges, x-ranges
+ * (1.x, 1.2.*, *) and unions with ||. Space-separated comparators must all
+ * match.
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*v?(\*|x|X|\d+)(?:\.(\*|x|X|\d+))?(?:\.(\*|x|X|\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a semantic version string
+ *
+ * @param {string} version - Version string (e.g., '1.2.3' or '2.0.0-beta.1')
+ * @returns {object|null} Parsed version or null if invalid
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' ? VERSION_PATTERN.exec(version.trim()) : null;
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two semantic versions
+ *
+ * @param {string|object} a - First version
+ * @param {string|object} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * @throws {Error} If either version is invalid
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+/**
+ * Compare prerelease identifiers; a version without one is the greater
+ *
+ * @param {string[]} a - First prerelease identifiers
+ * @param {string[]} b - Second prerelease identifiers
+ * @returns {number} Comparison result
+ * @private
+ */
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const numeric = /^\d+$/.test(a[i]) && /^\d+$/.test(b[i]);
+    if (numeric) {
+      return Number(a[i]) - Number(b[i]);
+    }
+
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether a version satisfies a range
+ *
+ * Prerelease versions only satisfy ranges that mention a prerelease of the
+ * same major.minor.patch, as with npm.
+ *
+ * @param {string} version - Version to check
+ * @param {string} range - Range expression (e.g., '^2.0.0', '>=1.2 <3', '1.x || 2.x')
+ * @returns {boolean} True if the version satisfies the range
+ * @throws {Error} If the range is invalid
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+
+  if (!parsed) {
+    return false;
+  }
+
+  return parseRange(range).some(comparators => {
+    if (!comparators.every(({ op, version: bound }) => testComparator(parsed, op, bound))) {
+      return false;
+    }
+
+    if (parsed.prerelease.length === 0) {
+      return true;
+    }
+
+    return comparators.some(({ version: bound }) =>
+      bound.prerelease.length > 0 &&
+      bound.major === parsed.major &&
+      bound.minor === parsed.minor &&
+      bound.patch === parsed.patch
+    );
+  });
+}
+
+/**
+ * Check whether a range expression is valid
+ *
+ * @param {string} range - Range expression
+ * @returns {boolean} True if the range can be parsed
+ */
+export function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Test a parsed version against a single comparator
+ *
+ * @param {object} version - Parsed version
+ * @param {string} op - Comparison operator
+ * @param {object} bound - Parsed bound version
+ * @returns {boolean} Comparison result
+ * @private
+ */
+function testComparator(version, op, bound) {
+  const result = compareVersions(version, bound);
+
+  switch (op) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * Parse a range into comparator sets (OR of ANDs)
+ *
+ * @param {string} range - Range expression
+ * @returns {Array<Array<object>>} Comparator sets
+ * @throws {Error} If the range is invalid
+ * @private
+ */
+function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  return range.split('||').map(set => {
+    const parts = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+
+    if (parts.length === 0) {
+      return [];
+    }
+
+    return parts.flatMap(part => expandComparator(part, range));
+  });
+}
+
+/**
+ * Expand one comparator (possibly a caret, tilde or x-range) into bounds
+ *
+ * @param {string} comparator - Comparator expression
+ * @param {string} range - Full range, for error messages
+ * @returns {Array<object>} Primitive comparators
+ * @private
+ */
+function expandComparator(comparator, range) {
+  const match = COMPARATOR_PATTERN.exec(comparator);
+
+  if (!match) {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  const [, operator = '', ...rest] = match;
+  const isWildcard = (part) => part === undefined || part === '*' || part === 'x' || part === 'X';
+  const [majorPart, minorPart, patchPart, prereleasePart] = rest;
+
+  if (isWildcard(majorPart)) {
+    return operator === '<' || operator === '>' ? [{ op: '<', version: toVersion(0, 0, 0, ['0']) }] : [];
+  }
+
+  const major = Number(majorPart);
+  const minor = isWildcard(minorPart) ? null : Number(minorPart);
+  const patch = minor === null || isWildcard(patchPart) ? null : Number(patchPart);
+  const prerelease = patch !== null && prereleasePart ? prereleasePart.split('.') : [];
+  const lower = toVersion(major, minor ?? 0, patch ?? 0, prerelease);
+
+  // Exclusive upper bound of a partial version, e.g. 1.2 -> 1.3.0
+  const partialUpper = minor === null
+    ? toVersion(major + 1, 0, 0)
+    : toVersion(major, minor + 1, 0);
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || minor === null) {
+        upper = toVersion(major + 1, 0, 0);
+      } else if (minor > 0 || patch === null) {
+        upper = toVersion(0, minor + 1, 0);
+      } else {
+        upper = toVersion(0, 0, patch + 1);
+      }
+      return [{ op: '>=', version: lower }, { op: '<', version: upper }];
+    }
+
+    case '~': {
+      const upper = minor === null ? toVersion(major + 1, 0, 0) : toVersion(major, minor + 1, 0);
+      return [{ op: '>=', version: lower }, { op: '<', version: upper }];
+    }
+
+    case '>':
+      return patch === null
+        ? [{ op: '>=', version: partialUpper }]
+        : [{ op: '>', version: lower }];
+
+    case '>=':
+      return [{ op: '>=', version: lower }];
+
+    case '<':
+      return [{ op: '<', version: lower }];
+
+    case '<=':
+      return patch === null
+        ? [{ op: '<', version: partialUpper }]
+        : [{ op: '<=', version: lower }];
+
+    default:
+      return patch === null
+        ? [{ op: '>=', version: lower }, { op: '<', version: partialUpper }]
+        : [{ op: '=', version: lower }];
+  }
+}
+
+/**
+ * Build a parsed version object
+ *
+ * @param {number} major - Major version
+ * @param {number} minor - Minor version
+ * @param {number} patch - Patch version
+ * @param {string[]} prerelease - Prerelease identifiers
+ * @returns {object} Parsed version
+ * @private
+ */
+function toVersion(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
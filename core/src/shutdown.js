@@ -0,0 +1,221 @@
+/**
+ * Graceful process shutdown
+ *
+ * Handles termination signals by stopping the server from accepting new
+ * connections, letting in-flight requests finish up to a deadline, running
+ * the shutdown of the application, and exiting with a status that reflects
+ * whether everything shut down cleanly.
+ */
+
+import { getDefaultLogger } from './logger.js';
+
+const DEFAULT_OPTIONS = {
+  signals: ['SIGTERM', 'SIGINT'],
+  delay: 0,
+  drainTimeout: 10000
+};
+
+/**
+ * Install signal handlers that shut the process down gracefully
+ *
+ * The sequence is: `onSignal` (e.g. stop reporting ready), wait `delay` ms
+ * so load balancers stop routing new traffic, stop accepting connections,
+ * wait for in-flight requests for up to `drainTimeout` ms and then close the
+ * remaining connections, run `shutdown`, and exit. The exit code is 0 when
+ * everything succeeded and 1 when requests had to be cut off, `shutdown`
+ * threw or reported failures. A second signal exits immediately with 1.
+ *
+ * @param {object} options - Shutdown options
+ * @param {object} options.server - Node HTTP server, or an app created by createApp() for Fastify
+ * @param {Function} options.shutdown - Shuts the application down; may resolve to { failures }
+ * @param {Function} options.onSignal - Called with the signal before draining starts
+ * @param {string[]} options.signals - Signals to handle (default: ['SIGTERM', 'SIGINT'])
+ * @param {number} options.delay - Milliseconds to keep serving after the signal (default: 0)
+ * @param {number} options.drainTimeout - Milliseconds to wait for in-flight requests (default: 10000)
+ * @param {Function|false} options.exit - Called with the exit code (default: process.exit); false to not exit
+ * @param {object} options.logger - Logger (default: the default logger)
+ * @returns {object} Handle with shutdown(reason) and remove()
+ */
+export function createGracefulShutdown(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  // Fastify apps from createApp() expose the Node server on the raw instance
+  const server = settings.server?._raw?.server || settings.server;
+  const logger = settings.logger || getDefaultLogger();
+  const exit = settings.exit === false ? () => {} : (settings.exit || (code => process.exit(code)));
+
+  let inFlight = 0;
+  let draining = false;
+  let shutdownPromise = null;
+  const drainWaiters = new Set();
+
+  const onRequest = (req, res) => {
+    inFlight++;
+
+    // Ask keep-alive clients to reconnect elsewhere while draining
+    if (draining && !res.headersSent) {
+      res.setHeader('Connection', 'close');
+    }
+
+    let finished = false;
+    const done = () => {
+      if (finished) return;
+      finished = true;
+      inFlight--;
+
+      if (draining) {
+        server.closeIdleConnections?.();
+      }
+
+      if (inFlight === 0) {
+        drainWaiters.forEach(resolve => resolve());
+        drainWaiters.clear();
+      }
+    };
+
+    res.on('finish', done);
+    res.on('close', done);
+  };
+
+  server?.on?.('request', onRequest);
+
+  const handlers = {};
+  for (const signal of settings.signals) {
+    handlers[signal] = () => {
+      if (shutdownPromise) {
+        logger.error(`Received ${signal} again, exiting immediately`);
+        exit(1);
+        return;
+      }
+
+      logger.info(`Received ${signal}, shutting down gracefully`);
+      shutdown(signal);
+    };
+
+    process.on(signal, handlers[signal]);
+  }
+
+  /**
+   * Wait until no requests are in flight
+   *
+   * @param {number} timeout - Maximum time to wait in ms
+   * @returns {Promise<boolean>} True if all requests finished in time
+   * @private
+   */
+  function waitForDrain(timeout) {
+    if (inFlight === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        drainWaiters.delete(finish);
+        resolve(false);
+      }, timeout);
+
+      const finish = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+
+      drainWaiters.add(finish);
+    });
+  }
+
+  /**
+   * Stop accepting connections and drain in-flight requests
+   *
+   * @returns {Promise<boolean>} True if all requests finished before the deadline
+   * @private
+   */
+  async function drainServer() {
+    if (!server || typeof server.close !== 'function') {
+      return true;
+    }
+
+    draining = true;
+    const closed = new Promise(resolve => server.close(() => resolve()));
+    server.closeIdleConnections?.();
+
+    const drained = await waitForDrain(settings.drainTimeout);
+
+    if (!drained) {
+      logger.warn(`${inFlight} request(s) still in flight after ${settings.drainTimeout}ms, closing connections`);
+      server.closeAllConnections?.();
+    }
+
+    await closed;
+    return drained;
+  }
+
+  /**
+   * Run the shutdown sequence once and exit
+   *
+   * @param {string} reason - Signal or reason for shutting down
+   * @returns {Promise<number>} Exit code
+   */
+  function shutdown(reason = 'shutdown') {
+    if (!shutdownPromise) {
+      shutdownPromise = run(reason);
+    }
+
+    return shutdownPromise;
+  }
+
+  /**
+   * Run the shutdown sequence
+   *
+   * @param {string} reason - Signal or reason for shutting down
+   * @returns {Promise<number>} Exit code
+   * @private
+   */
+  async function run(reason) {
+    let exitCode = 0;
+
+    try {
+      await settings.onSignal?.(reason);
+
+      if (settings.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, settings.delay));
+      }
+
+      if (!(await drainServer())) {
+        exitCode = 1;
+      }
+
+      const result = await settings.shutdown?.(reason);
+
+      if (result?.failures?.length > 0) {
+        const names = result.failures.map(error => error.module).filter(Boolean);
+        logger.error(`Shutdown completed with ${result.failures.length} failure(s)${names.length ? `: ${names.join(', ')}` : ''}`);
+        exitCode = 1;
+      }
+    } catch (error) {
+      logger.error('Error during shutdown', error);
+      exitCode = 1;
+    }
+
+    remove();
+
+    if (exitCode === 0) {
+      logger.info('Shutdown complete');
+    }
+
+    exit(exitCode);
+    return exitCode;
+  }
+
+  /**
+   * Remove the signal handlers and request tracking
+   *
+   * @returns {void}
+   */
+  function remove() {
+    for (const [signal, handler] of Object.entries(handlers)) {
+      process.removeListener(signal, handler);
+    }
+
+    server?.removeListener?.('request', onRequest);
+  }
+
+  return { shutdown, remove };
+}
@@ -0,0 +1,440 @@
+/**
+ * Application state store
+ *
+ * Holds shared application state as an immutable tree addressed by
+ * dot-notation keys ('users.count'). Every change produces a new frozen
+ * tree that shares unchanged branches with the previous one, so snapshots
+ * are cheap and never change after they are taken.
+ *
+ * Only plain data (plain objects, arrays and primitives) is copied and
+ * frozen. Other values, such as clients, connections and dates, are stored
+ * by reference, so modules can keep them in state and use them as before.
+ *
+ * Each module gets a namespace under its own name, subscribers are notified
+ * when the value at a key changes, and an optional persistence adapter lets
+ * state survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDefaultLogger } from './logger.js';
+import { get, isPlainObject, merge, set } from './utils.js';
+
+/**
+ * Create a state store
+ *
+ * @param {object} options - Store options
+ * @param {object} options.initial - Initial state
+ * @param {object} options.persistence - Adapter with load() and save(state), e.g. createJsonFileStateAdapter()
+ * @param {number} options.persistDelay - Milliseconds to batch changes before saving (default: 100)
+ * @param {object} options.logger - Logger for subscriber and persistence errors (default: the default logger)
+ * @returns {object} State store
+ */
+export function createStateStore(options = {}) {
+  const { persistence, persistDelay = 100, logger = getDefaultLogger() } = options;
+  let root = deepFreeze(clone(options.initial || {}));
+  let subscriptions = [];
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  /**
+   * Get the value at a key
+   *
+   * @param {string} key - Dot-notation key; omit for the whole state
+   * @param {any} defaultValue - Value when the key is not set
+   * @returns {any} Frozen value
+   */
+  function getValue(key, defaultValue) {
+    return key ? get(root, key, defaultValue) : root;
+  }
+
+  /**
+   * Set the value at a key
+   *
+   * Plain objects and arrays are copied and frozen, so later changes by the
+   * caller don't reach the store. Other objects (class instances such as
+   * clients and connections, dates, maps) are stored by reference and left
+   * unfrozen. Intermediate objects are created as needed; keys under a value
+   * stored by reference can't be set.
+   *
+   * @param {string} key - Dot-notation key
+   * @param {any} value - New value
+   * @returns {void}
+   * @throws {Error} If the key goes through a value stored by reference
+   */
+  function setValue(key, value) {
+    assertKey(key);
+    update(key, next => set(next, key, deepFreeze(clone(value))));
+  }
+
+  /**
+   * Remove the value at a key
+   *
+   * @param {string} key - Dot-notation key
+   * @returns {void}
+   * @throws {Error} If the key goes through a value stored by reference
+   */
+  function remove(key) {
+    assertKey(key);
+
+    if (get(root, key) === undefined) {
+      return;
+    }
+
+    update(key, next => {
+      const keys = key.split('.');
+      const parent = keys.length > 1 ? get(next, keys.slice(0, -1).join('.')) : next;
+      delete parent[keys[keys.length - 1]];
+    });
+  }
+
+  /**
+   * Subscribe to changes of the value at a key
+   *
+   * The callback runs after any change to the key itself, to a value inside
+   * it, or to one of its parents that changes its value.
+   *
+   * @param {string} key - Dot-notation key; omit or use '' for every change
+   * @param {Function} callback - Called with (value, previousValue, { key, changedKey })
+   * @returns {Function} Function that removes the subscription
+   */
+  function subscribe(key, callback) {
+    if (typeof key === 'function') {
+      [key, callback] = ['', key];
+    }
+
+    if (typeof callback !== 'function') {
+      throw new Error(`State subscriber for "${key}" must be a function`);
+    }
+
+    const subscription = { key: key || '', callback };
+    subscriptions.push(subscription);
+
+    return () => {
+      subscriptions = subscriptions.filter(s => s !== subscription);
+    };
+  }
+
+  /**
+   * Get an immutable snapshot of the whole state
+   *
+   * @returns {object} Frozen state tree
+   */
+  function snapshot() {
+    return root;
+  }
+
+  /**
+   * Get a view of the store whose keys are relative to a prefix
+   *
+   * @param {string} prefix - Dot-notation prefix, e.g. a module name
+   * @returns {object} Namespaced store with get, set, remove, subscribe and snapshot
+   */
+  function namespace(prefix) {
+    assertKey(prefix);
+    const resolve = (key) => key ? `${prefix}.${key}` : prefix;
+
+    return {
+      get: (key, defaultValue) => getValue(resolve(key), defaultValue),
+      set: (key, value) => setValue(resolve(key), value),
+      remove: (key) => remove(resolve(key)),
+      subscribe: (key, callback) => typeof key === 'function'
+        ? subscribe(prefix, key)
+        : subscribe(resolve(key), callback),
+      snapshot: () => getValue(prefix, {})
+    };
+  }
+
+  /**
+   * Load persisted state, if a persistence adapter is configured
+   *
+   * Persisted values are merged over the initial state.
+   *
+   * @returns {Promise<void>}
+   */
+  async function hydrate() {
+    if (!persistence) {
+      return;
+    }
+
+    const saved = await persistence.load();
+
+    if (saved && typeof saved === 'object') {
+      root = deepFreeze(merge(root, saved));
+    }
+  }
+
+  /**
+   * Save pending changes immediately
+   *
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      persist();
+    }
+
+    return saving;
+  }
+
+  /**
+   * Apply a change to a copy of the state and notify subscribers
+   *
+   * @param {string} changedKey - Key being changed
+   * @param {Function} mutate - Mutates the copied path of the new tree
+   * @returns {void}
+   * @private
+   */
+  function update(changedKey, mutate) {
+    const previous = root;
+    const next = copyPath(previous, changedKey.split('.'));
+
+    mutate(next);
+    root = freezePath(next, changedKey.split('.'));
+
+    notify(previous, changedKey);
+    schedulePersist();
+  }
+
+  /**
+   * Notify the subscribers affected by a change
+   *
+   * @param {object} previous - State before the change
+   * @param {string} changedKey - Key that changed
+   * @returns {void}
+   * @private
+   */
+  function notify(previous, changedKey) {
+    for (const subscription of subscriptions) {
+      const { key, callback } = subscription;
+      const related = !key || key === changedKey ||
+        key.startsWith(`${changedKey}.`) || changedKey.startsWith(`${key}.`);
+
+      if (!related) {
+        continue;
+      }
+
+      const value = getValue(key);
+      const previousValue = key ? get(previous, key) : previous;
+
+      if (value === previousValue) {
+        continue;
+      }
+
+      try {
+        callback(value, previousValue, { key, changedKey });
+      } catch (error) {
+        logger.error(`Error in state subscriber for "${key || '*'}"`, error);
+      }
+    }
+  }
+
+  /**
+   * Save the state after a short delay, batching rapid changes
+   *
+   * @returns {void}
+   * @private
+   */
+  function schedulePersist() {
+    if (!persistence || saveTimer) {
+      return;
+    }
+
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      persist();
+    }, persistDelay);
+    saveTimer.unref?.();
+  }
+
+  /**
+   * Save the current state after any save in progress
+   *
+   * @returns {void}
+   * @private
+   */
+  function persist() {
+    const state = root;
+
+    saving = saving
+      .then(() => persistence.save(state))
+      .catch(error => logger.error('Failed to persist state', error));
+  }
+
+  return {
+    get: getValue,
+    set: setValue,
+    remove,
+    subscribe,
+    snapshot,
+    namespace,
+    hydrate,
+    flush
+  };
+}
+
+/**
+ * Create a persistence adapter that stores state in a JSON file
+ *
+ * Writes go to a temporary file that is then renamed over the target, so a
+ * crash never leaves a half-written file behind.
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {object} Adapter with load() and save(state)
+ */
+export function createJsonFileStateAdapter(file) {
+  const filePath = path.resolve(file);
+
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return undefined;
+        }
+
+        throw new Error(`Failed to load state from ${filePath}: ${error.message}`);
+      }
+    },
+
+    async save(state) {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Check that a state key is usable
+ *
+ * @param {string} key - Dot-notation key
+ * @returns {void}
+ * @throws {Error} If the key is not a non-empty string
+ * @private
+ */
+function assertKey(key) {
+  if (!key || typeof key !== 'string') {
+    throw new Error('State key must be a non-empty string');
+  }
+}
+
+/**
+ * Shallow-copy every object along a path so it can be changed safely
+ *
+ * Values stored by reference can't be changed through the store, so a path
+ * through one of them is rejected rather than copying it into a plain object.
+ *
+ * @param {object} root - State tree
+ * @param {string[]} keys - Path segments
+ * @returns {object} Copy of the root with copied objects along the path
+ * @throws {Error} If the path goes through a value stored by reference
+ * @private
+ */
+function copyPath(root, keys) {
+  const next = { ...root };
+  let current = next;
+
+  for (const [index, key] of keys.slice(0, -1).entries()) {
+    const child = current[key];
+
+    if (child && typeof child === 'object' && !isPlainData(child)) {
+      const path = keys.slice(0, index + 1).join('.');
+      throw new Error(`Cannot change state under "${path}": it holds a value stored by reference, set "${path}" instead`);
+    }
+
+    if (Array.isArray(child)) {
+      current[key] = [...child];
+    } else {
+      current[key] = child && typeof child === 'object' ? { ...child } : {};
+    }
+
+    current = current[key];
+  }
+
+  return next;
+}
+
+/**
+ * Freeze the objects copied along a path
+ *
+ * @param {object} root - New state tree
+ * @param {string[]} keys - Path segments
+ * @returns {object} The frozen root
+ * @private
+ */
+function freezePath(root, keys) {
+  let current = root;
+
+  for (const key of keys.slice(0, -1)) {
+    Object.freeze(current);
+    current = current[key];
+  }
+
+  Object.freeze(current);
+  return root;
+}
+
+/**
+ * Copy the plain data in a value so later changes by the caller can't reach the store
+ *
+ * Plain objects and arrays are copied; other values are kept by reference.
+ *
+ * @param {any} value - Value
+ * @param {Map} copies - Copies made so far, for values that contain themselves
+ * @returns {any} Copy
+ * @private
+ */
+function clone(value, copies = new Map()) {
+  if (!isPlainData(value) || Object.isFrozen(value)) {
+    return value;
+  }
+
+  if (copies.has(value)) {
+    return copies.get(value);
+  }
+
+  const copy = Array.isArray(value) ? [] : {};
+  copies.set(value, copy);
+
+  for (const [key, child] of Object.entries(value)) {
+    copy[key] = clone(child, copies);
+  }
+
+  return copy;
+}
+
+/**
+ * Freeze the plain objects and arrays in a value
+ *
+ * @param {any} value - Value
+ * @returns {any} The frozen value
+ * @private
+ */
+function deepFreeze(value) {
+  if (isPlainData(value) && !Object.isFrozen(value)) {
+    Object.freeze(value);
+
+    for (const child of Object.values(value)) {
+      deepFreeze(child);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value is a plain object or an array
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain data that is copied and frozen
+ * @private
+ */
+function isPlainData(value) {
+  return Array.isArray(value) || isPlainObject(value);
+}
@@ -61,9 +61,27 @@ export function set(obj, path, value) {
   return obj;
 }
 
+/**
+ * Check whether a value is a plain object (not an array, date or class instance)
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for objects created by {} or Object.create(null)
+ */
+export function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
 /**
  * Deep merge multiple objects
  *
+ * Only plain objects are merged; arrays, dates and class instances replace
+ * the previous value.
+ *
  * @param {...object} objects - Objects to merge
  * @returns {object} Merged object
  */
@@ -75,8 +93,8 @@ export function merge(...objects) {
 
     for (const key in obj) {
       if (Object.prototype.hasOwnProperty.call(obj, key)) {
-        if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
-          result[key] = merge(result[key] || {}, obj[key]);
+        if (isPlainObject(obj[key])) {
+          result[key] = merge(isPlainObject(result[key]) ? result[key] : {}, obj[key]);
         } else {
           result[key] = obj[key];
         }
@@ -148,3 +166,41 @@ export function formatDate(date, format = 'YYYY-MM-DD') {
     .replace('mm', minutes)
     .replace('ss', seconds);
 }
+
+/**
+ * Reject if a promise does not settle within a time limit
+ *
+ * The timer is cleared as soon as the promise settles. A missing, zero or
+ * infinite limit returns the promise unchanged.
+ *
+ * @param {Promise<any>} promise - The promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message used on timeout
+ * @returns {Promise<any>} The promise result
+ */
+export function withTimeout(promise, ms, message) {
+  if (!ms || ms === Infinity) {
+    return Promise.resolve(promise);
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message || `Operation timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Time to wait in milliseconds
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,253 @@
+/**
+ * Request validation with JSON Schema
+ *
+ * Module routes declare schemas for the parts of a request they accept:
+ *
+ *   router.post('/register', {
+ *     schema: {
+ *       body: {
+ *         type: 'object',
+ *         required: ['username', 'password'],
+ *         properties: { username: { type: 'string' }, password: { type: 'string', minLength: 8 } }
+ *       },
+ *       query: { type: 'object', properties: { invite: { type: 'boolean', default: false } } }
+ *     }
+ *   }, handler);
+ *
+ * Validation runs before the module's middleware and handlers. Values are
+ * coerced to the declared types, defaults are filled in and properties not
+ * allowed by `additionalProperties: false` are removed from params, body and
+ * query. Headers are never removed, so a headers schema with
+ * `additionalProperties: false` rejects requests with other headers.
+ *
+ * A request that fails gets a 400 response listing every violation in every
+ * part, in the order params, body, query, headers:
+ *
+ *   { error: 'Bad Request', message: 'Request validation failed',
+ *     errors: [{ location: 'body', path: '/password', message: 'must NOT have fewer than 8 characters', keyword: 'minLength' }] }
+ *
+ * Fastify apps created by createApp() run the same validators through
+ * Fastify's native validation; other apps use the validation middleware.
+ * Both need the `ajv` package. Schemas with an `$id` are compiled once and
+ * reused by every route that declares them.
+ */
+
+import { createRequire } from 'module';
+import { isDeepStrictEqual } from 'util';
+
+const require = createRequire(import.meta.url);
+
+// Marks validation middleware with the schema it checks, for adapters with native validation
+export const REQUEST_SCHEMA = Symbol.for('nodejs-modular-system.requestSchema');
+
+// Request parts that can have a schema, in the order they are validated
+export const REQUEST_SCHEMA_LOCATIONS = ['params', 'body', 'query', 'headers'];
+
+// Ajv options, matching Fastify's defaults apart from reporting every error
+export const VALIDATION_OPTIONS = {
+  coerceTypes: 'array',
+  useDefaults: true,
+  removeAdditional: true,
+  allErrors: true
+};
+
+// Ajv options for headers, which keep the headers a schema doesn't list
+export const HEADER_VALIDATION_OPTIONS = {
+  ...VALIDATION_OPTIONS,
+  removeAdditional: false
+};
+
+// Shared Ajv instances for headers and for the other parts, created when the first schema is compiled
+const ajvInstances = {};
+
+/**
+ * Create middleware that validates requests against a schema
+ *
+ * @param {object} schema - JSON Schemas keyed by request part: params, body, query, headers
+ * @returns {Function} Middleware responding 400 to invalid requests
+ * @throws {Error} If the schema names an unknown request part or is not valid JSON Schema
+ */
+export function validateRequest(schema) {
+  const normalized = normalizeRequestSchema(schema);
+  const validators = Object.entries(normalized).map(([location, locationSchema]) => [
+    location,
+    compileRequestSchema(location, locationSchema)
+  ]);
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const [location, validate] of validators) {
+      const data = req[location];
+
+      if (!validate(data)) {
+        errors.push(...formatValidationErrors(location, validate.errors));
+        continue;
+      }
+
+      // Frameworks may expose request parts through getters that reparse
+      if (req[location] !== data) {
+        Object.defineProperty(req, location, { value: data, writable: true, enumerable: true, configurable: true });
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    next();
+  };
+
+  middleware[REQUEST_SCHEMA] = normalized;
+  return middleware;
+}
+
+/**
+ * Compile the schema for one part of a request
+ *
+ * A schema with an `$id` that was compiled before is reused; if the schema
+ * changed since, e.g. after a module reload, it replaces the old one.
+ *
+ * @param {string} location - Request part: params, body, query (or querystring) or headers
+ * @param {object} schema - JSON Schema for the part
+ * @returns {Function} Ajv validate function
+ * @throws {Error} If the schema is not valid JSON Schema or ajv is not installed
+ */
+export function compileRequestSchema(location, schema) {
+  const ajv = getAjv(location);
+
+  if (schema.$id) {
+    const compiled = ajv.getSchema(schema.$id);
+
+    if (compiled && isDeepStrictEqual(compiled.schema, schema)) {
+      return compiled;
+    }
+
+    if (compiled) {
+      ajv.removeSchema(schema.$id);
+    }
+  }
+
+  return ajv.compile(schema);
+}
+
+/**
+ * Turn validator errors into the entries of a 400 response
+ *
+ * @param {string} location - Request part: params, body, query (or querystring) or headers
+ * @param {Array<object>} errors - Ajv errors
+ * @returns {Array<object>} Errors with location, path, message and keyword
+ */
+export function formatValidationErrors(location, errors = []) {
+  const part = location === 'querystring' ? 'query' : location;
+
+  return errors.map(error => ({
+    location: part,
+    path: error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath,
+    message: error.message,
+    keyword: error.keyword
+  }));
+}
+
+/**
+ * Respond 400 to an invalid request
+ *
+ * @param {object} res - Express-compatible response
+ * @param {Array<object>} errors - Errors from formatValidationErrors()
+ * @returns {void}
+ */
+export function sendValidationError(res, errors) {
+  res.status(400).json({
+    error: 'Bad Request',
+    message: 'Request validation failed',
+    errors
+  });
+}
+
+/**
+ * Check the parts of a request schema and normalize header names
+ *
+ * Header names are lower-cased, as Node lower-cases request headers.
+ *
+ * @param {object} schema - Request schema
+ * @returns {object} Schema keyed by params, body, query and headers, in validation order
+ * @throws {Error} If the schema names an unknown request part
+ * @private
+ */
+function normalizeRequestSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('Request schema must be an object keyed by params, body, query or headers');
+  }
+
+  const unknown = Object.keys(schema).filter(key => !REQUEST_SCHEMA_LOCATIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown request schema part(s): ${unknown.join(', ')}. Use: ${REQUEST_SCHEMA_LOCATIONS.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  for (const location of REQUEST_SCHEMA_LOCATIONS) {
+    if (schema[location]) {
+      normalized[location] = location === 'headers' ? lowerCaseHeaders(schema[location]) : schema[location];
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Lower-case the property names of a headers schema
+ *
+ * @param {object} schema - Headers schema
+ * @returns {object} Schema with lower-case properties and required names
+ * @private
+ */
+function lowerCaseHeaders(schema) {
+  return {
+    ...schema,
+    ...(schema.properties
+      ? { properties: Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name.toLowerCase(), value])) }
+      : {}),
+    ...(schema.required ? { required: schema.required.map(name => name.toLowerCase()) } : {})
+  };
+}
+
+/**
+ * Get the shared Ajv instance for a request part
+ *
+ * @param {string} location - Request part
+ * @returns {object} Ajv instance, with formats if ajv-formats is installed
+ * @throws {Error} If ajv is not installed
+ * @private
+ */
+function getAjv(location) {
+  const key = location === 'headers' ? 'headers' : 'default';
+
+  if (ajvInstances[key]) {
+    return ajvInstances[key];
+  }
+
+  let Ajv;
+  try {
+    Ajv = require('ajv');
+  } catch (error) {
+    const missing = new Error('Request schemas need the "ajv" package. Install it with: npm install ajv');
+    missing.code = 'MISSING_DEPENDENCY';
+    throw missing;
+  }
+
+  const ajv = new (Ajv.default || Ajv)(key === 'headers' ? HEADER_VALIDATION_OPTIONS : VALIDATION_OPTIONS);
+
+  // Formats such as email and date-time, as Fastify supports them
+  try {
+    const addFormats = require('ajv-formats');
+    (addFormats.default || addFormats)(ajv);
+  } catch (error) {
+    // Schemas using formats fail to compile without ajv-formats
+  }
+
+  ajvInstances[key] = ajv;
+  return ajv;
+}
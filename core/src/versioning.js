@@ -0,0 +1,202 @@
+/**
+ * API versioning
+ *
+ * Modules register routes per API version on their scoped router:
+ *
+ *   versions: { v1: { deprecated: true, sunset: '2027-01-01' } },
+ *   routes(router) {
+ *     router.version('v1', (v1) => v1.get('/me', meV1));   // GET /api/v1/auth/me
+ *     router.version('v2', (v2) => v2.get('/me', meV2));   // GET /api/v2/auth/me
+ *   }
+ *
+ * The version segment goes where the module prefix has `{version}`; the
+ * default prefix is `/api/{version}/<id>`, and unversioned routes drop the
+ * segment. Each versioned route is also reachable without the version in
+ * the path (`/api/auth/me`), in which case the version is taken from the
+ * `Accept-Version` header or a media type such as
+ * `application/vnd.api.v2+json` or `application/json; version=2`, falling
+ * back to the default version.
+ *
+ * Responses from deprecated versions carry `Deprecation`, `Sunset` and
+ * `Link` headers.
+ */
+
+export const VERSION_PLACEHOLDER = '{version}';
+
+const DEFAULT_OPTIONS = {
+  header: 'accept-version',
+  mediaType: true
+};
+
+/**
+ * Resolve the versioning options of an application
+ *
+ * @param {object} options - Versioning options
+ * @param {string|false} options.header - Request header naming the version (default: 'accept-version'), or false
+ * @param {boolean} options.mediaType - Read the version from the Accept media type (default: true)
+ * @param {string} options.defaultVersion - Version used when a request names none (default: the latest supported one)
+ * @param {object} options.versions - Metadata ({ deprecated, sunset, link }) keyed by version
+ * @returns {object} Versioning options with defaults applied
+ */
+export function resolveVersioningOptions(options = {}) {
+  return { ...DEFAULT_OPTIONS, versions: {}, ...options };
+}
+
+/**
+ * Apply a version to a prefix template
+ *
+ * Without a version the `{version}` segment is removed. With a version it
+ * replaces `{version}`, or is added as the first segment when the template
+ * has none.
+ *
+ * @param {string} template - Prefix, optionally containing `{version}`
+ * @param {string} version - API version, or null for unversioned routes
+ * @returns {string} Prefix
+ */
+export function resolveVersionedPrefix(template, version) {
+  const prefix = template || '';
+
+  if (!version) {
+    return prefix.split('/').filter(segment => segment !== VERSION_PLACEHOLDER).join('/');
+  }
+
+  return prefix.includes(VERSION_PLACEHOLDER)
+    ? prefix.replace(VERSION_PLACEHOLDER, version)
+    : `/${version}${prefix.startsWith('/') ? '' : '/'}${prefix}`;
+}
+
+/**
+ * Get the API version a request asks for
+ *
+ * @param {object} req - Request
+ * @param {object} options - Resolved versioning options
+ * @returns {string|null} Requested version, or null if the request names none
+ */
+export function getRequestedVersion(req, options) {
+  const headers = req.headers || {};
+
+  if (options.header && headers[options.header.toLowerCase()]) {
+    return String(headers[options.header.toLowerCase()]).trim();
+  }
+
+  if (options.mediaType && headers.accept) {
+    const match = /\.v(\d+)(?:\+|;|,|$)|;\s*version=v?(\d+)/i.exec(headers.accept);
+
+    if (match) {
+      return `v${match[1] || match[2]}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the registered version matching a requested version
+ *
+ * '2' matches 'v2' and 'v2' matches '2'.
+ *
+ * @param {string[]} versions - Registered versions
+ * @param {string} requested - Requested version
+ * @returns {string|undefined} Matching version
+ */
+export function matchApiVersion(versions, requested) {
+  const bare = requested.replace(/^v/i, '');
+  return versions.find(version => version === requested || version.replace(/^v/i, '') === bare);
+}
+
+/**
+ * Sort versions from oldest to newest
+ *
+ * Versions are compared by their numeric parts ('v10' comes after 'v2'),
+ * then alphabetically.
+ *
+ * @param {string[]} versions - Versions
+ * @returns {string[]} Sorted copy
+ */
+export function sortApiVersions(versions) {
+  return [...versions].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Create middleware that announces a deprecated version
+ *
+ * @param {object} info - Version metadata
+ * @param {boolean|string} info.deprecated - true, or the date the version was deprecated
+ * @param {string} info.sunset - Date after which the version may stop working
+ * @param {string} info.link - URL documenting the deprecation or migration
+ * @returns {Function|null} Middleware, or null if the version isn't deprecated
+ */
+export function createDeprecationMiddleware(info = {}) {
+  if (!info.deprecated && !info.sunset) {
+    return null;
+  }
+
+  const headers = {};
+
+  if (info.deprecated) {
+    headers.Deprecation = info.deprecated === true ? 'true' : `@${Math.floor(new Date(info.deprecated).getTime() / 1000)}`;
+  }
+
+  if (info.sunset) {
+    headers.Sunset = new Date(info.sunset).toUTCString();
+  }
+
+  if (info.link) {
+    headers.Link = `<${info.link}>; rel="deprecation"`;
+  }
+
+  return (req, res, next) => {
+    for (const [name, value] of Object.entries(headers)) {
+      res.set(name, value);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create a handler that picks a version of a route from the request headers
+ *
+ * @param {Map<string, object>} routes - Route versions: version -> { handler, info }
+ * @param {object} options - Resolved versioning options
+ * @returns {Function} Route handler
+ */
+export function createVersionDispatcher(routes, options) {
+  return (req, res, next) => {
+    const versions = Array.from(routes.keys());
+    const requested = getRequestedVersion(req, options);
+    const version = requested
+      ? matchApiVersion(versions, requested)
+      : getDefaultVersion(routes, options);
+
+    res.set('Vary', 'Accept, Accept-Version');
+
+    if (!version) {
+      res.status(406).json({
+        error: 'Not Acceptable',
+        message: `API version ${requested} is not supported`,
+        versions: sortApiVersions(versions)
+      });
+      return;
+    }
+
+    return routes.get(version).handler(req, res, next);
+  };
+}
+
+/**
+ * Get the version used for requests that name none
+ *
+ * @param {Map<string, object>} routes - Route versions
+ * @param {object} options - Resolved versioning options
+ * @returns {string} Version
+ * @private
+ */
+function getDefaultVersion(routes, options) {
+  if (options.defaultVersion && routes.has(options.defaultVersion)) {
+    return options.defaultVersion;
+  }
+
+  const versions = sortApiVersions(Array.from(routes.keys())).reverse();
+  return versions.find(version => !routes.get(version).info.deprecated) || versions[0];
+}
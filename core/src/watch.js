@@ -0,0 +1,178 @@
+/**
+ * Development file watcher for module directories
+ *
+ * Watches a directory containing one subdirectory per module and reloads a
+ * module through the module system when any of its files change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolveEntryPoint } from './discovery.js';
+import { getDefaultLogger } from './logger.js';
+
+/**
+ * Watch a directory of modules and reload modules whose files change
+ *
+ * Changes are debounced per module and reloads run one at a time. The
+ * entry point is re-imported with a cache-busting query, so only the entry
+ * file itself is re-evaluated. Where recursive watching is unavailable
+ * (Node 18 on Linux), each directory is watched separately.
+ *
+ * @param {object} options - Watch options
+ * @param {string} options.dir - Directory containing one subdirectory per module (default: 'modules')
+ * @param {number} options.debounce - Milliseconds to wait for changes to settle (default: 100)
+ * @param {object} options.logger - Logger (default: the default logger)
+ * @param {object} handlers - Module system callbacks
+ * @param {Function} handlers.resolveName - Maps a subdirectory name to a registered module name
+ * @param {Function} handlers.reload - Called with (name, definition) to reload a module
+ * @returns {object} Watcher with a close() method
+ */
+export function watchModuleDirectory(options, handlers) {
+  const dir = path.resolve(options.dir || 'modules');
+  const debounce = options.debounce ?? 100;
+  const logger = options.logger || getDefaultLogger();
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const reloadFromDisk = async (name, moduleDir) => {
+    try {
+      const entry = resolveEntryPoint(moduleDir);
+      const exported = await import(`${pathToFileURL(entry).href}?reload=${Date.now()}`);
+      await handlers.reload(name, exported.default ?? exported);
+    } catch (error) {
+      logger.error(`Failed to reload module ${name}`, error);
+    }
+  };
+
+  const onChange = (filename) => {
+    const dirName = filename.split(path.sep)[0];
+    const name = handlers.resolveName(dirName);
+
+    if (!name) {
+      return;
+    }
+
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      queue = queue.then(() => reloadFromDisk(name, path.join(dir, dirName)));
+    }, debounce));
+  };
+
+  const onError = (error) => {
+    logger.error(`Error watching module directory ${dir}`, error);
+  };
+
+  let watchers;
+
+  try {
+    const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+      if (filename) {
+        onChange(filename);
+      }
+    });
+
+    watcher.on('error', onError);
+    watchers = new Map([[dir, watcher]]);
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+
+    watchers = watchEachDirectory(dir, onChange, onError);
+  }
+
+  logger.info(`Watching modules in ${dir}`);
+
+  return {
+    close() {
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+
+      watchers.clear();
+
+      for (const timer of timers.values()) {
+        clearTimeout(timer);
+      }
+
+      timers.clear();
+    }
+  };
+}
+
+/**
+ * Watch a directory tree with one watcher per directory
+ *
+ * Directories created later are watched as they appear and watchers of
+ * removed directories are closed. node_modules directories are skipped.
+ *
+ * @param {string} root - Directory to watch
+ * @param {Function} onChange - Called with the changed path, relative to the root
+ * @param {Function} onError - Called with watcher errors
+ * @returns {Map<string, object>} Watchers by directory, added to as directories appear
+ * @private
+ */
+function watchEachDirectory(root, onChange, onError) {
+  const watchers = new Map();
+
+  const unwatch = (dir) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(`${dir}${path.sep}`)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+
+  const watch = (dir) => {
+    if (watchers.has(dir)) {
+      return;
+    }
+
+    const watcher = fs.watch(dir, (eventType, filename) => {
+      if (!filename) {
+        return;
+      }
+
+      const changed = path.join(dir, filename);
+      onChange(path.relative(root, changed));
+
+      if (eventType === 'rename') {
+        if (isDirectory(changed)) {
+          watch(changed);
+        } else {
+          unwatch(changed);
+        }
+      }
+    });
+
+    watcher.on('error', onError);
+    watchers.set(dir, watcher);
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory() && entry.name !== 'node_modules') {
+        watch(path.join(dir, entry.name));
+      }
+    }
+  };
+
+  watch(root);
+  return watchers;
+}
+
+/**
+ * Check whether a path is an existing directory
+ *
+ * @param {string} target - Path
+ * @returns {boolean} True for directories
+ * @private
+ */
+function isDirectory(target) {
+  try {
+    return fs.statSync(target).isDirectory() && path.basename(target) !== 'node_modules';
+  } catch (error) {
+    return false;
+  }
+}
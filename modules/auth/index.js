@@ -4,24 +4,31 @@
  * Provides authentication and authorization capabilities for the application.
  */
 
-import { createHandler } from '../../core/adapters/framework.js';
-import { generateId } from '../../core/utils/index.js';
+import { createHandler } from '../../core/src/framework.js';
+import { generateId } from '../../core/src/utils.js';
 
 // In-memory user store (replace with database in production)
 const users = new Map();
 const sessions = new Map();
 
+// Event bus, available once the module is initialized
+let events = null;
+
 // Authentication module definition
 const authModule = {
   id: 'auth',
   name: 'Authentication Module',
 
-  // Dependencies
-  dependencies: ['logger'],
+  // Events emitted by this module
+  events: {
+    publishes: ['user.registered', 'user.loggedIn']
+  },
 
   // Initialize function
   async initialize(context) {
-    const logger = context.getService('logger');
+    events = context.events;
+
+    const { logger } = context;
     logger.info('Authentication module initialized');
 
     // Add a default admin user if none exists
@@ -39,10 +46,44 @@ const authModule = {
     }
   },
 
+  // Scheduled jobs
+  jobs: {
+    // Remove sessions that expired without a logout
+    purgeExpiredSessions: {
+      interval: 15 * 60 * 1000,
+      handler(context) {
+        const now = new Date();
+        let purged = 0;
+
+        for (const [token, session] of sessions) {
+          if (session.expiresAt < now) {
+            sessions.delete(token);
+            purged++;
+          }
+        }
+
+        if (purged > 0) {
+          context.logger.info(`Purged ${purged} expired session(s)`);
+        }
+      }
+    }
+  },
+
   // Define routes
-  routes(app) {
+  routes(router) {
     // Login route
-    app.post('/api/auth/login', createHandler(async (req) => {
+    router.post('/login', {
+      schema: {
+        body: {
+          type: 'object',
+          required: ['username', 'password'],
+          properties: {
+            username: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    }, createHandler(async (req) => {
       const { username, password } = req.body;
 
       // Find user by username
@@ -64,6 +105,7 @@ const authModule = {
       };
 
       sessions.set(sessionId, session);
+      events.emit('user.loggedIn', { userId: user.id, username: user.username });
 
       // Return user info and token
       return {
@@ -78,7 +120,7 @@ const authModule = {
     }));
 
     // Logout route
-    app.post('/api/auth/logout', createHandler(async (req) => {
+    router.post('/logout', createHandler(async (req) => {
       const token = req.headers.authorization?.split(' ')[1];
 
       if (token && sessions.has(token)) {
@@ -89,7 +131,7 @@ const authModule = {
     }));
 
     // Get current user route
-    app.get('/api/auth/me', createHandler(async (req) => {
+    router.get('/me', createHandler(async (req) => {
       const token = req.headers.authorization?.split(' ')[1];
 
       if (!token || !sessions.has(token)) {
@@ -125,7 +167,19 @@ const authModule = {
     }));
 
     // Register route
-    app.post('/api/auth/register', createHandler(async (req) => {
+    router.post('/register', {
+      schema: {
+        body: {
+          type: 'object',
+          required: ['username', 'password'],
+          additionalProperties: false,
+          properties: {
+            username: { type: 'string', minLength: 3, maxLength: 64 },
+            password: { type: 'string', minLength: 8 }
+          }
+        }
+      }
+    }, createHandler(async (req) => {
       const { username, password } = req.body;
 
       // Check if username already exists
@@ -146,6 +200,7 @@ const authModule = {
       };
 
       users.set(userId, user);
+      events.emit('user.registered', { userId: user.id, username: user.username });
 
       return {
         id: user.id,
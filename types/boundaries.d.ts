@@ -0,0 +1,51 @@
+/**
+ * Type definitions for service boundaries between modules
+ */
+
+import { Logger } from './logger';
+import { ApplicationContext, ModuleDefinition } from './modules';
+
+/**
+ * How undeclared cross-module service access is handled
+ */
+export type BoundaryMode = 'strict' | 'warn' | 'off';
+
+/**
+ * Options for createScopedContext
+ */
+export interface ScopedContextOptions {
+  /**
+   * Boundary mode (default: 'warn')
+   */
+  mode?: BoundaryMode;
+
+  /**
+   * Returns the exports list of a module by name
+   */
+  getExports?: (moduleName: string) => string[] | undefined;
+
+  /**
+   * Logger for boundary warnings (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Create the context a module receives in its lifecycle functions
+ */
+export function createScopedContext(
+  context: ApplicationContext,
+  name: string,
+  module: ModuleDefinition,
+  options?: ScopedContextOptions
+): ApplicationContext;
+
+/**
+ * Check that a service boundary mode is supported
+ */
+export function assertBoundaryMode(mode: string): asserts mode is BoundaryMode;
+
+/**
+ * Get the public view of a module's services
+ */
+export function getPublicServices<T extends Record<string, any>>(services: T, exportsList?: string[]): Partial<T>;
@@ -0,0 +1,148 @@
+/**
+ * Type definitions for configuration loading and module configuration schemas
+ */
+
+import { ModuleDefinition } from './modules';
+
+/**
+ * Options for loadConfig
+ */
+export interface LoadConfigOptions {
+  /**
+   * Directory containing the config directory and .env files (default: process.cwd())
+   */
+  cwd?: string;
+
+  /**
+   * Config directory, relative to cwd (default: 'config')
+   */
+  configDir?: string;
+
+  /**
+   * Environment name (default: NODE_ENV or 'development')
+   */
+  env?: string;
+
+  /**
+   * Additional defaults, layered over the built-in defaults
+   */
+  defaults?: Record<string, any>;
+
+  /**
+   * Values that take precedence over every other layer
+   */
+  overrides?: Record<string, any>;
+
+  /**
+   * Map of environment variable names to config paths
+   */
+  envMap?: Record<string, string>;
+
+  /**
+   * Prefix of environment variables mapped onto config paths, with `__`
+   * separating nested keys (default: 'APP_')
+   */
+  envPrefix?: string;
+}
+
+/**
+ * Result of loadConfig
+ */
+export interface LoadedConfig {
+  /**
+   * Effective configuration
+   */
+  config: Record<string, any>;
+
+  /**
+   * Source layer of each effective value, keyed by dot-notation path
+   */
+  sources: Record<string, string>;
+}
+
+/**
+ * Load the application configuration from layered sources
+ */
+export function loadConfig(options?: LoadConfigOptions): Promise<LoadedConfig>;
+
+/**
+ * Format the sources reported by loadConfig() as readable lines
+ */
+export function formatConfigSources(sources: Record<string, string>): string;
+
+/**
+ * Parse the contents of a .env file
+ */
+export function parseDotenv(content: string, env?: Record<string, string | undefined>): Record<string, string>;
+
+/**
+ * Supported configuration value types
+ */
+export type ConfigFieldType = 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any';
+
+/**
+ * Definition of a single configuration key
+ */
+export interface ConfigField {
+  /**
+   * Expected value type (default: 'any')
+   */
+  type?: ConfigFieldType;
+
+  /**
+   * Fail boot when no value is supplied
+   */
+  required?: boolean;
+
+  /**
+   * Value used when none is supplied
+   */
+  default?: any | (() => any);
+
+  /**
+   * Environment variable that overrides the configured value
+   */
+  env?: string;
+
+  /**
+   * Keep the value out of error messages
+   */
+  secret?: boolean;
+
+  /**
+   * Allowed values
+   */
+  enum?: any[];
+}
+
+/**
+ * Module configuration schema, keyed by configuration key
+ */
+export type ConfigSchema = Record<string, ConfigField | ConfigFieldType>;
+
+/**
+ * A single configuration validation error
+ */
+export interface ConfigValidationError {
+  module?: string;
+  key: string;
+  message: string;
+}
+
+/**
+ * Resolve a configuration schema against supplied values and the environment
+ */
+export function resolveConfigSchema(
+  schema: ConfigSchema,
+  values?: Record<string, any>,
+  env?: Record<string, string | undefined>
+): { config: Record<string, any>; errors: ConfigValidationError[] };
+
+/**
+ * Resolve the configuration schemas of all modules
+ */
+export function resolveModuleConfigs(
+  modules: Record<string, ModuleDefinition>,
+  config?: Record<string, any>,
+  env?: Record<string, string | undefined>
+): Record<string, any>;
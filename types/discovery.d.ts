@@ -0,0 +1,99 @@
+/**
+ * Type definitions for module discovery
+ */
+
+import { Logger } from './logger';
+
+/**
+ * Name of the package.json field holding a module manifest
+ */
+export const MANIFEST_FIELD: 'modularSystem';
+
+/**
+ * The `modularSystem` field of a module's package.json
+ */
+export interface ModuleManifest {
+  /**
+   * Entry file relative to the module directory (default: package.json main, then index.js)
+   */
+  entry?: string;
+
+  /**
+   * Name to register the module under (default: the module's id)
+   */
+  name?: string;
+
+  /**
+   * Set to false to skip the module
+   */
+  enabled?: boolean;
+
+  /**
+   * Environments the module loads in (default: all)
+   */
+  environments?: string[];
+}
+
+/**
+ * Manifest with the entry point resolved to an absolute path
+ */
+export interface ResolvedModuleManifest extends Omit<ModuleManifest, 'entry'> {
+  entry: string;
+
+  /**
+   * Whether package.json contains a manifest
+   */
+  declared: boolean;
+}
+
+/**
+ * Options for discoverModules
+ */
+export interface DiscoverModulesOptions {
+  /**
+   * Directory or directories to scan (default: 'modules')
+   */
+  dir?: string | string[];
+
+  /**
+   * Current environment (default: NODE_ENV or 'development')
+   */
+  env?: string;
+
+  /**
+   * Only load packages with a manifest (default: false)
+   */
+  requireManifest?: boolean;
+
+  /**
+   * Logger (default: the module system's logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Result of discovering modules
+ */
+export interface DiscoveryReport {
+  registered: Array<{ dir: string; name: string; entry: string }>;
+  skipped: Array<{ dir: string; name?: string; reason: string }>;
+  failed: Array<{ dir: string; entry?: string; error: Error }>;
+}
+
+/**
+ * Discover, import and register the modules in one or more directories
+ */
+export function discoverModuleDirectory(
+  options: DiscoverModulesOptions,
+  handlers: { register: (name: string, definition: any) => any; isRegistered: (name: string) => boolean }
+): Promise<DiscoveryReport>;
+
+/**
+ * Read the manifest of a module directory
+ */
+export function readModuleManifest(moduleDir: string): ResolvedModuleManifest | null;
+
+/**
+ * Resolve the entry point of a module directory
+ */
+export function resolveEntryPoint(moduleDir: string): string;
@@ -0,0 +1,93 @@
+/**
+ * Type definitions for the event bus
+ */
+
+import { Logger } from './logger';
+
+/**
+ * Event handler, called with the event payload and the event name
+ */
+export type EventHandler<T = any> = (payload: T, event: string) => void | Promise<void>;
+
+/**
+ * Subscription options
+ */
+export interface SubscribeOptions {
+  /**
+   * Module that owns the subscription
+   */
+  owner?: string;
+
+  /**
+   * Remove the subscription after the first delivery
+   */
+  once?: boolean;
+}
+
+/**
+ * Publishers and subscribers of an event or pattern
+ */
+export interface EventCatalogEntry {
+  publishers: string[];
+  subscribers: Array<string | null>;
+}
+
+/**
+ * In-process event bus
+ */
+export interface EventBus {
+  /**
+   * Emit an event; resolves with the number of handlers once all have settled
+   */
+  emit<T = any>(event: string, payload?: T): Promise<number>;
+
+  /**
+   * Subscribe to an event or wildcard pattern ('user.*', 'order.**')
+   */
+  on<T = any>(pattern: string, handler: EventHandler<T>, options?: SubscribeOptions): () => void;
+
+  /**
+   * Subscribe to an event or wildcard pattern for a single delivery
+   */
+  once<T = any>(pattern: string, handler: EventHandler<T>, options?: SubscribeOptions): () => void;
+
+  /**
+   * Remove a handler, or every handler, subscribed to a pattern
+   */
+  off(pattern: string, handler?: EventHandler): void;
+
+  /**
+   * Remove every subscription, or only those owned by a module
+   */
+  removeAll(owner?: string): void;
+
+  /**
+   * Record that a module publishes an event
+   */
+  declarePublisher(event: string, owner: string): void;
+
+  /**
+   * List known events with their publishers and subscribers
+   */
+  listEvents(): Record<string, EventCatalogEntry>;
+}
+
+/**
+ * Event bus options
+ */
+export interface EventBusOptions {
+  /**
+   * Called when a handler fails
+   */
+  onError?: (error: Error, event: string, subscription: { pattern: string; owner?: string }) => void;
+
+  /**
+   * Logger for handler failures when no onError is given (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Create an event bus
+ */
+export function createEventBus(options?: EventBusOptions): EventBus;
@@ -0,0 +1,118 @@
+/**
+ * Type definitions for feature flags and module switches
+ */
+
+import { DependencyGraph } from './graph';
+
+/**
+ * Context a flag is evaluated against
+ */
+export interface FeatureContext {
+  env?: string;
+  tenant?: string;
+  module?: string;
+  req?: any;
+  [key: string]: any;
+}
+
+/**
+ * A flag value: on/off, or on only for some environments or tenants
+ */
+export type FeatureFlagValue =
+  | boolean
+  | string
+  | {
+      enabled?: boolean | string;
+      environments?: string[];
+      tenants?: string[];
+    };
+
+/**
+ * Anything that can answer whether a flag is on
+ */
+export interface FeatureFlagProvider {
+  /**
+   * Resolve to true or false, or undefined when the flag is not set
+   */
+  isEnabled(flag: string, context: FeatureContext): boolean | undefined | Promise<boolean | undefined>;
+}
+
+/**
+ * The default in-memory provider
+ */
+export interface FeatureFlags extends FeatureFlagProvider {
+  isEnabled(flag: string, context?: FeatureContext): boolean | undefined;
+  set(flag: string, value: FeatureFlagValue): void;
+  getAll(): Record<string, FeatureFlagValue>;
+
+  /**
+   * Reload flags from the file
+   */
+  reload(): void;
+}
+
+/**
+ * Options for createFeatureFlags
+ */
+export interface FeatureFlagsOptions {
+  /**
+   * Initial flag values, taking precedence over the file
+   */
+  flags?: Record<string, FeatureFlagValue>;
+
+  /**
+   * JSON file with flag values keyed by flag name
+   */
+  file?: string;
+}
+
+/**
+ * Options for FeatureGate.guard
+ */
+export interface FeatureGuardOptions {
+  /**
+   * Status code while the flag is off (default: 404)
+   */
+  status?: number;
+
+  /**
+   * Extra evaluation context for a request, e.g. { tenant }
+   */
+  getContext?: (req: any) => FeatureContext;
+}
+
+/**
+ * Feature API available to modules as context.features
+ */
+export interface FeatureGate {
+  provider: FeatureFlagProvider;
+  isEnabled(flag: string, context?: FeatureContext, defaultValue?: boolean): Promise<boolean>;
+
+  /**
+   * Wrap a route handler so the route only responds while the flag is on
+   */
+  guard<H extends (req: any, res: any, next?: any) => any>(
+    flag: string,
+    handler: H,
+    options?: FeatureGuardOptions
+  ): (req: any, res: any, next?: any) => Promise<any>;
+}
+
+/**
+ * Create an in-memory feature flag provider, optionally backed by a JSON file
+ */
+export function createFeatureFlags(options?: FeatureFlagsOptions): FeatureFlags;
+
+/**
+ * Create the feature API exposed to modules
+ */
+export function createFeatureGate(provider: FeatureFlagProvider, defaults?: FeatureContext): FeatureGate;
+
+/**
+ * Determine which registered modules are disabled, with the reason for each
+ */
+export function resolveDisabledModules(
+  modules: Record<string, any>,
+  graph: Pick<DependencyGraph, 'order' | 'edges'>,
+  options?: { config?: Record<string, any>; features?: FeatureGate }
+): Promise<Record<string, string>>;
@@ -2,12 +2,16 @@
  * Type definitions for the framework adapter
  */
 
+import { Server } from 'http';
+import { MetricsRegistry } from './metrics';
+
 /**
  * Framework options
  */
 export interface FrameworkOptions {
   /**
-   * Framework to use ('express' or 'fastify')
+   * Framework to use: 'express' (default), 'fastify', 'koa', 'http' or a
+   * registered adapter
    */
   framework?: string;
 
@@ -31,6 +35,12 @@ export interface FrameworkOptions {
    */
   logger?: boolean | object;
 
+  /**
+   * Registry for HTTP request metrics (default: the shared default registry),
+   * or false to disable them
+   */
+  metrics?: MetricsRegistry | false;
+
   /**
    * Fastify-specific options
    */
@@ -40,12 +50,78 @@ export interface FrameworkOptions {
    * Express-specific options
    */
   express?: object;
+
+  /**
+   * Maximum request body size in bytes for the 'koa' and 'http' adapters (default: 100kb)
+   */
+  bodyLimit?: number;
+}
+
+/**
+ * Express-style route handler or middleware
+ */
+export type FrameworkHandler = (req: any, res: any, next: (error?: any) => void) => any;
+
+/**
+ * Express-style error middleware
+ */
+export type FrameworkErrorHandler = (error: any, req: any, res: any, next: (error?: any) => void) => any;
+
+/**
+ * App returned by a framework adapter
+ */
+export interface FrameworkApp {
+  /**
+   * Add middleware, optionally mounted on a path; middleware with four
+   * parameters handles errors from every route
+   */
+  use(...handlers: Array<FrameworkHandler | FrameworkErrorHandler>): FrameworkApp;
+  use(path: string, ...handlers: FrameworkHandler[]): FrameworkApp;
+
+  all(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  get(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  post(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  put(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  delete(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  patch(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  options(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+  head(path: string, ...handlers: Array<FrameworkHandler | FrameworkHandler[]>): FrameworkApp;
+
+  /**
+   * Start serving; returns the Node HTTP server
+   */
+  listen(port: number, callback?: (error?: Error) => void): Server;
+
+  /**
+   * Stop serving
+   */
+  close(): Promise<void>;
+
+  /**
+   * The underlying framework instance
+   */
+  _raw: any;
 }
 
+/**
+ * Creates an app from the createApp() options
+ */
+export type FrameworkAdapterFactory = (options: FrameworkOptions) => FrameworkApp | Promise<FrameworkApp>;
+
+/**
+ * Register a framework adapter; registering a name again replaces its adapter
+ */
+export function registerFrameworkAdapter(name: string, factory: FrameworkAdapterFactory): void;
+
+/**
+ * List the registered framework adapters
+ */
+export function getFrameworkAdapters(): string[];
+
 /**
  * Create an application instance with the configured framework
  */
-export function createApp(options?: FrameworkOptions): Promise<any>;
+export function createApp(options?: FrameworkOptions): Promise<FrameworkApp & Record<string, any>>;
 
 /**
  * Create a standard route handler with error handling
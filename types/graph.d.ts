@@ -0,0 +1,130 @@
+/**
+ * Type definitions for dependency graph utilities
+ */
+
+import { ModuleDefinition } from './modules';
+
+/**
+ * A module in the dependency graph
+ */
+export interface DependencyGraphNode {
+  /**
+   * Name the module was registered under
+   */
+  name: string;
+
+  /**
+   * Module id
+   */
+  id: string;
+
+  /**
+   * Human-readable module name
+   */
+  label: string;
+
+  /**
+   * Declared module version
+   */
+  version?: string;
+}
+
+/**
+ * A dependency between two modules
+ */
+export interface DependencyGraphEdge {
+  /**
+   * The dependent module
+   */
+  from: string;
+
+  /**
+   * The module it depends on
+   */
+  to: string;
+
+  /**
+   * Whether the dependency is optional
+   */
+  optional: boolean;
+
+  /**
+   * Semver range required of the dependency
+   */
+  range?: string;
+}
+
+/**
+ * A dependency in normalized form
+ */
+export interface ModuleDependency {
+  name: string;
+  range?: string;
+  optional: boolean;
+}
+
+/**
+ * Resolved dependency graph of the registered modules
+ */
+export interface DependencyGraph {
+  nodes: DependencyGraphNode[];
+  edges: DependencyGraphEdge[];
+
+  /**
+   * Module names in initialization order
+   */
+  order: string[];
+}
+
+/**
+ * Build and topologically sort the dependency graph of a set of modules
+ */
+export function buildDependencyGraph(modules: Record<string, ModuleDefinition>): DependencyGraph;
+
+/**
+ * Options for runInDependencyOrder
+ */
+export interface RunInDependencyOrderOptions {
+  /**
+   * Maximum number of concurrent tasks (default: unlimited)
+   */
+  concurrency?: number;
+
+  /**
+   * Run dependents before their dependencies
+   */
+  reverse?: boolean;
+}
+
+/**
+ * Run a task for every module in the graph, respecting dependency order
+ */
+export function runInDependencyOrder(
+  graph: DependencyGraph,
+  task: (name: string) => void | Promise<void>,
+  options?: RunInDependencyOrderOptions
+): Promise<void>;
+
+/**
+ * Check that a module and the registry agree on versions in both directions
+ */
+export function assertCompatibleVersions(
+  name: string,
+  module: ModuleDefinition,
+  modules: Record<string, ModuleDefinition>
+): void;
+
+/**
+ * Get the declared dependencies of a module in normalized form
+ */
+export function getModuleDependencies(module: ModuleDefinition): ModuleDependency[];
+
+/**
+ * Render a dependency graph in Graphviz DOT format
+ */
+export function toDot(graph: DependencyGraph): string;
+
+/**
+ * Render a dependency graph as a Mermaid flowchart
+ */
+export function toMermaid(graph: DependencyGraph): string;
@@ -0,0 +1,79 @@
+/**
+ * Type definitions for health and readiness reporting
+ */
+
+/**
+ * Result of a module health or readiness check
+ */
+export type HealthCheckResult = void | boolean | ({ status?: 'up' | 'down' } & Record<string, any>);
+
+/**
+ * Status of a single module in a report
+ */
+export interface ModuleHealth {
+  status: 'up' | 'down';
+  duration: number;
+  details?: Record<string, any>;
+  error?: string;
+}
+
+/**
+ * Aggregated health or readiness report
+ */
+export interface HealthReport {
+  status: 'up' | 'down';
+
+  /**
+   * Present on readiness reports
+   */
+  ready?: boolean;
+
+  timestamp: string;
+  modules: Record<string, ModuleHealth>;
+}
+
+/**
+ * Health options
+ */
+export interface HealthOptions {
+  /**
+   * Liveness route (default: '/health')
+   */
+  path?: string;
+
+  /**
+   * Readiness route (default: '/ready')
+   */
+  readyPath?: string;
+
+  /**
+   * Per-check timeout in milliseconds (default: 2000)
+   */
+  timeout?: number;
+
+  /**
+   * How long a report is reused in milliseconds (default: 1000)
+   */
+  cacheTtl?: number;
+}
+
+/**
+ * Health monitor
+ */
+export interface HealthMonitor {
+  configure(options?: HealthOptions): void;
+  liveness(): Promise<HealthReport>;
+  readiness(): Promise<HealthReport>;
+  setReady(ready: boolean): void;
+  isReady(): boolean;
+  mount(app: any): void;
+}
+
+/**
+ * Create a health monitor
+ */
+export function createHealthMonitor(
+  options?: HealthOptions & {
+    getChecks: (kind: 'liveness' | 'readiness') => Array<{ name: string; check: () => HealthCheckResult | Promise<HealthCheckResult> }>;
+  }
+): HealthMonitor;
@@ -3,5 +3,22 @@
  */
 
 export * from './modules';
+export * from './discovery';
+export * from './graph';
+export * from './semver';
+export * from './config';
+export * from './logger';
+export * from './events';
+export * from './jobs';
+export * from './features';
+export * from './boundaries';
+export * from './router';
+export * from './versioning';
+export * from './validation';
+export * from './request-scope';
+export * from './health';
+export * from './metrics';
+export * from './shutdown';
+export * from './state';
 export * from './framework';
 export * from './utils';
@@ -0,0 +1,125 @@
+/**
+ * Type definitions for scheduled jobs
+ */
+
+import { ApplicationContext } from './modules';
+
+/**
+ * Details of a single job run
+ */
+export interface JobRunDetails {
+  name: string;
+  module: string;
+  trigger: 'schedule' | 'manual';
+  startedAt: Date;
+}
+
+/**
+ * Job declared by a module; exactly one of schedule or interval is required
+ */
+export interface JobDefinition {
+  /**
+   * Five-field cron expression, evaluated in local time
+   */
+  schedule?: string;
+
+  /**
+   * Milliseconds between runs
+   */
+  interval?: number;
+
+  /**
+   * Milliseconds a run may take before it is reported as failed
+   */
+  timeout?: number;
+
+  /**
+   * Work to do, called with the module's context
+   */
+  handler: (context: ApplicationContext, run: JobRunDetails) => void | Promise<void>;
+}
+
+/**
+ * Outcome of the last run of a job
+ */
+export interface JobRunResult {
+  status: 'success' | 'failed';
+  trigger: 'schedule' | 'manual';
+  startedAt: Date;
+  /**
+   * Duration in ms
+   */
+  duration: number;
+  error?: string;
+}
+
+/**
+ * Description of a registered job
+ */
+export interface JobInfo {
+  /**
+   * '<module>.<job>'
+   */
+  name: string;
+  module: string;
+  schedule: string | null;
+  interval: number | null;
+  running: boolean;
+  nextRunAt: Date | null;
+  lastRun: JobRunResult | null;
+  runs: number;
+  failures: number;
+  /**
+   * Scheduled runs skipped because the previous run was still going
+   */
+  skipped: number;
+}
+
+/**
+ * Job scheduler
+ */
+export interface JobScheduler {
+  register(owner: string, definitions: Record<string, JobDefinition>, context: ApplicationContext): void;
+  unregister(owner: string): Promise<void>;
+  start(): void;
+  stop(): void;
+  trigger(name: string): Promise<JobRunResult>;
+  list(): JobInfo[];
+}
+
+/**
+ * Options for createJobScheduler
+ */
+export interface JobSchedulerOptions {
+  /**
+   * Runs a job, e.g. inside a request scope
+   */
+  runInScope?: <T>(fn: () => Promise<T>, init: Record<string, any>) => Promise<T>;
+}
+
+/**
+ * Parsed cron expression
+ */
+export interface CronFields {
+  minute: Set<number>;
+  hour: Set<number>;
+  dayOfMonth: Set<number>;
+  month: Set<number>;
+  dayOfWeek: Set<number>;
+  anyDay: boolean;
+}
+
+/**
+ * Create a job scheduler
+ */
+export function createJobScheduler(options?: JobSchedulerOptions): JobScheduler;
+
+/**
+ * Parse a five-field cron expression
+ */
+export function parseCronExpression(expression: string): CronFields;
+
+/**
+ * Get the next time after a date that matches a cron expression
+ */
+export function getNextCronTime(cron: string | CronFields, after?: Date): Date;
@@ -0,0 +1,124 @@
+/**
+ * Type definitions for structured logging
+ */
+
+/**
+ * Log level names, from most to least verbose
+ */
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal' | 'silent';
+
+/**
+ * Numeric value of each log level
+ */
+export const LOG_LEVELS: Record<LogLevel, number>;
+
+/**
+ * A log entry as passed to transports
+ */
+export interface LogEntry {
+  level: Exclude<LogLevel, 'silent'>;
+  time: string;
+  msg: string;
+  /**
+   * Id of the request being handled when the entry was written
+   */
+  requestId?: string;
+  /**
+   * Serialized error, when an Error was logged
+   */
+  err?: { type: string; message: string; stack?: string; [key: string]: any };
+  [field: string]: any;
+}
+
+/**
+ * Receives every log entry instead of the console output
+ */
+export type LogTransport = (entry: LogEntry) => void;
+
+/**
+ * Logs a message with optional fields, or an Error logged as `err`
+ */
+export type LogMethod = (message: string, fields?: Record<string, any> | Error) => void;
+
+/**
+ * Logger interface
+ */
+export interface Logger {
+  trace: LogMethod;
+  debug: LogMethod;
+  info: LogMethod;
+  warn: LogMethod;
+  error: LogMethod;
+  fatal: LogMethod;
+
+  /**
+   * Create a logger that adds fields to every entry, e.g. { module: 'users' }
+   */
+  child(bindings: Record<string, any>): Logger;
+
+  /**
+   * Change the minimum level of this logger and the loggers sharing its settings
+   */
+  setLevel(level: LogLevel): void;
+
+  /**
+   * Whether entries at a level are written
+   */
+  isLevelEnabled(level: LogLevel): boolean;
+
+  /**
+   * Current minimum level
+   */
+  readonly level: LogLevel;
+}
+
+/**
+ * Logger options
+ */
+export interface LoggerOptions {
+  /**
+   * Minimum level to log (default: LOG_LEVEL or 'info')
+   */
+  level?: LogLevel;
+
+  /**
+   * Output format (default: LOG_FORMAT, or 'json' in production and 'pretty' otherwise)
+   */
+  format?: 'json' | 'pretty';
+
+  /**
+   * Field names, matched at any depth, or dot paths whose values are hidden
+   * (default: password, secret, token, authorization, cookie)
+   */
+  redact?: string[];
+
+  /**
+   * Fields added to every entry
+   */
+  bindings?: Record<string, any>;
+
+  /**
+   * Receives each entry instead of the console output
+   */
+  transport?: LogTransport;
+}
+
+/**
+ * Create a logger
+ */
+export function createLogger(options?: LoggerOptions): Logger;
+
+/**
+ * Create a transport that sends entries to a pino logger
+ */
+export function createPinoTransport(pino: any): LogTransport;
+
+/**
+ * Get the logger used by the core unless one is passed in
+ */
+export function getDefaultLogger(): Logger;
+
+/**
+ * Replace the default logger used by the core
+ */
+export function setDefaultLogger(logger: Logger): void;
@@ -0,0 +1,109 @@
+/**
+ * Type definitions for the metrics registry
+ */
+
+/**
+ * Label values of a sample
+ */
+export type MetricLabels = Record<string, string | number>;
+
+/**
+ * A value that only goes up
+ */
+export interface Counter {
+  inc(labels?: MetricLabels | number, value?: number): void;
+  reset(): void;
+}
+
+/**
+ * A value that can go up and down
+ */
+export interface Gauge {
+  set(labels: MetricLabels | number, value?: number): void;
+  inc(labels?: MetricLabels | number, value?: number): void;
+  dec(labels?: MetricLabels | number, value?: number): void;
+  reset(): void;
+}
+
+/**
+ * Observations counted into buckets
+ */
+export interface Histogram {
+  observe(labels: MetricLabels | number, value?: number): void;
+
+  /**
+   * Start a timer; calling the returned function records the elapsed seconds
+   */
+  startTimer(labels?: MetricLabels): (extraLabels?: MetricLabels) => number;
+
+  reset(): void;
+}
+
+/**
+ * Metrics registry
+ */
+export interface MetricsRegistry {
+  /**
+   * Content type of the exposition format
+   */
+  contentType: string;
+
+  counter(name: string, help?: string, labelNames?: string[]): Counter;
+  gauge(name: string, help?: string, labelNames?: string[]): Gauge;
+  histogram(name: string, help?: string, labelNames?: string[], buckets?: number[]): Histogram;
+  getMetric(name: string): (Counter | Gauge | Histogram) | undefined;
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   */
+  render(): string;
+
+  /**
+   * Reset the values of every metric, keeping the definitions
+   */
+  resetValues(): void;
+}
+
+/**
+ * Registry options
+ */
+export interface MetricsRegistryOptions {
+  /**
+   * Prefix added to every metric name
+   */
+  prefix?: string;
+
+  /**
+   * Labels added to every sample
+   */
+  defaultLabels?: MetricLabels;
+}
+
+/**
+ * Create a metrics registry
+ */
+export function createMetricsRegistry(options?: MetricsRegistryOptions): MetricsRegistry;
+
+/**
+ * Get the default metrics registry
+ */
+export function getDefaultMetricsRegistry(): MetricsRegistry;
+
+/**
+ * Register the HTTP metrics recorded for every request
+ */
+export function getHttpMetrics(registry: MetricsRegistry): { requests: Counter; duration: Histogram };
+
+/**
+ * Register the module lifecycle metrics recorded by the module system
+ */
+export function getModuleMetrics(registry: MetricsRegistry): {
+  initDuration: Gauge;
+  shutdownDuration: Gauge;
+  failures: Counter;
+};
+
+/**
+ * Create a route handler that serves a registry in the Prometheus format
+ */
+export function createMetricsHandler(registry: MetricsRegistry): (req: any, res: any) => void;
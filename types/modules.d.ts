@@ -2,6 +2,22 @@
  * Type definitions for the enhanced module system
  */
 
+import { BoundaryMode } from './boundaries';
+import { ConfigSchema } from './config';
+import { DiscoverModulesOptions, DiscoveryReport } from './discovery';
+import { EventBus, EventHandler } from './events';
+import { FeatureFlagProvider, FeatureGate } from './features';
+import { DependencyGraph } from './graph';
+import { HealthCheckResult, HealthMonitor, HealthOptions } from './health';
+import { JobDefinition, JobInfo, JobRunResult } from './jobs';
+import { Logger } from './logger';
+import { MetricsRegistry } from './metrics';
+import { RequestContext, RequestServiceDefinition } from './request-scope';
+import { ModuleRouter, RouteConflictMode, RouteFilter, RouteHandler, RouteRecord } from './router';
+import { GracefulShutdown, ShutdownResult, SignalShutdownOptions } from './shutdown';
+import { StateStore, StateStoreOptions, StateSubscriber, StateView } from './state';
+import { ApiVersion, ApiVersionInfo, VersioningOptions } from './versioning';
+
 /**
  * Module definition interface
  */
@@ -17,9 +33,48 @@ export interface ModuleDefinition {
   name: string;
 
   /**
-   * Array of other module names this module depends on
+   * Semantic version of the module (e.g. '2.1.0')
+   */
+  version?: string;
+
+  /**
+   * Modules this module depends on, as a list of names or a map of names to
+   * semver ranges (e.g. { auth: '^2.0.0' })
    */
-  dependencies?: string[];
+  dependencies?: string[] | Record<string, string>;
+
+  /**
+   * Modules initialized first when registered and skipped when absent, in
+   * the same format as dependencies
+   */
+  optionalDependencies?: string[] | Record<string, string>;
+
+  /**
+   * Configuration schema, resolved into context.config[id] before initialize()
+   */
+  config?: ConfigSchema;
+
+  /**
+   * Maximum time in milliseconds that initialize() may take before boot fails
+   */
+  initTimeout?: number;
+
+  /**
+   * Maximum time in milliseconds that shutdown() may take before it is
+   * reported as failed
+   */
+  shutdownTimeout?: number;
+
+  /**
+   * Set to false to keep the application running if this module fails to
+   * initialize; the module is then marked degraded (default: true)
+   */
+  critical?: boolean;
+
+  /**
+   * How often to retry a failing initialize()
+   */
+  retry?: ModuleRetryPolicy;
 
   /**
    * Module initialization function, called during system startup
@@ -32,14 +87,122 @@ export interface ModuleDefinition {
   shutdown?: (context: ApplicationContext) => void | Promise<void>;
 
   /**
-   * Function to register module routes with the app
+   * Liveness check, reported by /health
+   */
+  healthCheck?: (context: ApplicationContext) => HealthCheckResult | Promise<HealthCheckResult>;
+
+  /**
+   * Readiness check, reported by /ready
+   */
+  readinessCheck?: (context: ApplicationContext) => HealthCheckResult | Promise<HealthCheckResult>;
+
+  /**
+   * Path prefix of the module's routes (default: '/api/{version}/<id>'; '' for the root).
+   * `{version}` is replaced for versioned routes and dropped otherwise.
+   * config.modules.<name>.prefix takes precedence.
+   */
+  prefix?: string;
+
+  /**
+   * Metadata of the module's API versions, e.g. { v1: { deprecated: true, sunset: '2027-01-01' } }
    */
-  routes?: (app: any) => void;
+  versions?: Record<string, ApiVersionInfo>;
+
+  /**
+   * Middleware run before each of the module's routes
+   */
+  middleware?: RouteHandler[];
+
+  /**
+   * Function to register module routes on a router scoped to the module's prefix
+   */
+  routes?: (router: ModuleRouter) => void;
 
   /**
    * Services exposed by this module for other modules to consume
    */
   services?: Record<string, any>;
+
+  /**
+   * Names of service members visible to other modules (default: all)
+   */
+  exports?: string[];
+
+  /**
+   * Events this module publishes and subscribes to
+   */
+  events?: ModuleEvents;
+
+  /**
+   * Services created once per request and disposed when it ends, available
+   * through getRequestContext().getService(moduleName, serviceName)
+   */
+  requestServices?: Record<string, RequestServiceDefinition>;
+
+  /**
+   * Scheduled jobs, started after all modules have initialized and stopped
+   * before this module shuts down
+   */
+  jobs?: Record<string, JobDefinition>;
+}
+
+/**
+ * Retry policy for module initialization
+ */
+export interface ModuleRetryPolicy {
+  /**
+   * Total number of attempts (default: 1)
+   */
+  attempts?: number;
+
+  /**
+   * Milliseconds to wait before the first retry (default: 0)
+   */
+  backoff?: number;
+
+  /**
+   * Multiplier applied to the wait after each retry (default: 2)
+   */
+  factor?: number;
+}
+
+/**
+ * Initialization status of a module
+ */
+export interface ModuleStatus {
+  status: 'pending' | 'initializing' | 'ready' | 'degraded' | 'failed' | 'disabled' | 'stopped';
+  critical: boolean;
+
+  /**
+   * Number of initialization attempts made
+   */
+  attempts?: number;
+
+  /**
+   * Message of the last initialization error
+   */
+  error?: string;
+
+  /**
+   * Why the module is disabled
+   */
+  reason?: string;
+}
+
+/**
+ * Event declarations of a module
+ */
+export interface ModuleEvents {
+  /**
+   * Names of events the module emits
+   */
+  publishes?: string[];
+
+  /**
+   * Handlers keyed by event name or wildcard pattern, called with the module
+   * as `this` and removed automatically on shutdown
+   */
+  subscribes?: Record<string, EventHandler>;
 }
 
 /**
@@ -51,24 +214,77 @@ export interface ApplicationContext {
    */
   app: any;
 
+  /**
+   * Name of the module this context is scoped to, if any
+   */
+  moduleName?: string;
+
   /**
    * Services exposed by all modules
    */
   services: Record<string, any>;
 
   /**
-   * Application configuration
+   * Application configuration, with validated module sections keyed by module id
    */
   config: Record<string, any>;
 
   /**
-   * Application state storage
+   * Application state store
+   */
+  state: StateStore;
+
+  /**
+   * State namespace of the module the context belongs to (module contexts only)
+   */
+  moduleState?: StateView;
+
+  /**
+   * Logger; in a module's context it tags every entry with the module name
+   */
+  logger: Logger;
+
+  /**
+   * Initialization timings per module
+   */
+  initTimings: Record<string, ModuleInitTiming>;
+
+  /**
+   * Event bus shared by all modules
+   */
+  events: EventBus;
+
+  /**
+   * Aggregated module health and readiness
    */
-  state: Record<string, any>;
+  health: HealthMonitor;
+
+  /**
+   * Metrics registry for registering module counters, gauges and histograms
+   */
+  metrics: MetricsRegistry;
+
+  /**
+   * Feature flag checks and route guards
+   */
+  features: FeatureGate;
+
+  /**
+   * Modules skipped because they were switched off, with the reason for each
+   */
+  disabledModules: Record<string, string>;
+
+  /**
+   * Run a function inside a new request scope, e.g. for jobs or tests
+   */
+  runInRequestScope<T>(fn: () => T | Promise<T>, init?: Partial<RequestContext>): Promise<T>;
 
   /**
    * Get a service from another module
    *
+   * In a module's scoped context only declared dependencies are resolved,
+   * according to the boundary mode, and only their exported members.
+   *
    * @param moduleName The name of the module
    * @param serviceName Optional service name to retrieve a specific service
    */
@@ -77,6 +293,9 @@ export interface ApplicationContext {
   /**
    * Set a value in the application state
    *
+   * Plain objects and arrays are copied and frozen; other objects, such as
+   * clients and connections, are stored by reference.
+   *
    * @param key The state key (can use dot notation for nested properties)
    * @param value The value to set
    */
@@ -89,6 +308,140 @@ export interface ApplicationContext {
    * @param defaultValue Default value if the key doesn't exist
    */
   getState: <T>(key: string, defaultValue?: T) => T;
+
+  /**
+   * Subscribe to changes of the application state at a key
+   *
+   * @param key The state key (can use dot notation for nested properties)
+   * @param callback Called with the new and previous value
+   * @returns Function that removes the subscription
+   */
+  subscribeState: (key: string, callback: StateSubscriber) => () => void;
+}
+
+/**
+ * Initialization timing of a single module
+ */
+export interface ModuleInitTiming {
+  /**
+   * Epoch milliseconds when initialization started
+   */
+  startedAt: number;
+
+  /**
+   * Initialization duration in milliseconds
+   */
+  duration: number;
+}
+
+/**
+ * Options for initializeModules
+ */
+export interface InitializeOptions {
+  /**
+   * Maximum number of modules initializing at once (default: unlimited)
+   */
+  concurrency?: number;
+
+  /**
+   * Default initialization timeout for modules without initTimeout
+   */
+  initTimeout?: number;
+
+  /**
+   * How modules accessing undeclared dependencies are handled (default: 'warn')
+   */
+  boundaries?: BoundaryMode;
+
+  /**
+   * Health route options, or false to not mount /health and /ready
+   */
+  health?: HealthOptions | false;
+
+  /**
+   * Metrics registry (default: the shared default registry)
+   */
+  metrics?: MetricsRegistry;
+
+  /**
+   * Metrics route (default: '/metrics'), or false to not mount it
+   */
+  metricsPath?: string | false;
+
+  /**
+   * Feature flag provider (default: in-memory flags from config.features)
+   */
+  featureFlags?: FeatureFlagProvider;
+
+  /**
+   * State store options, e.g. a persistence adapter
+   */
+  state?: StateStoreOptions;
+
+  /**
+   * Logger exposed as context.logger (default: the module system's logger)
+   */
+  logger?: Logger;
+
+  /**
+   * Whether conflicting module routes fail initialization or are logged (default: 'error')
+   */
+  routeConflicts?: RouteConflictMode;
+
+  /**
+   * API versioning options
+   */
+  versioning?: VersioningOptions;
+}
+
+/**
+ * Options for shutdownModules
+ */
+export interface ShutdownModulesOptions {
+  /**
+   * Maximum number of modules shut down at once (default: 1)
+   */
+  concurrency?: number;
+
+  /**
+   * Default per-module shutdown timeout in ms for modules without shutdownTimeout
+   */
+  shutdownTimeout?: number;
+}
+
+/**
+ * Options for enableGracefulShutdown
+ */
+export interface EnableGracefulShutdownOptions extends SignalShutdownOptions, ShutdownModulesOptions {}
+
+/**
+ * Options for watchModules
+ */
+export interface WatchModulesOptions {
+  /**
+   * Directory containing one subdirectory per module (default: 'modules')
+   */
+  dir?: string;
+
+  /**
+   * Milliseconds to wait for changes to settle (default: 100)
+   */
+  debounce?: number;
+
+  /**
+   * Logger (default: the module system's logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * A running module directory watcher
+ */
+export interface ModuleWatcher {
+  /**
+   * Stop watching
+   */
+  close(): void;
 }
 
 /**
@@ -97,16 +450,195 @@ export interface ApplicationContext {
 export type LifecycleEvent =
   | 'beforeAllInit'
   | 'beforeInit'
+  | 'beforeRoutes'
+  | 'afterRoutes'
   | 'afterInit'
+  | 'onInitError'
   | 'afterAllInit'
   | 'beforeShutdown'
+  | 'onShutdownError'
   | 'afterShutdown';
 
+/**
+ * Lifecycle hook callback; error hooks also receive the error
+ */
+export type LifecycleHook = (context: ApplicationContext, error?: Error) => void | Promise<void>;
+
+/**
+ * Options for registerLifecycleHook
+ */
+export interface LifecycleHookOptions {
+  /**
+   * Higher priorities run first (default: 0)
+   */
+  priority?: number;
+
+  /**
+   * Module name(s), or a predicate, limiting per-module events
+   */
+  modules?: string | string[] | ((name: string) => boolean);
+
+  /**
+   * Whether a throwing hook aborts the sequence ('fail', default) or is
+   * logged and skipped ('continue')
+   */
+  onError?: 'fail' | 'continue';
+}
+
+/**
+ * An isolated module system instance with its own registry and hooks
+ */
+export interface ModuleSystem {
+  /**
+   * Register a module with this instance
+   */
+  registerModule(name: string, module: ModuleDefinition): ModuleDefinition;
+
+  /**
+   * Shut down and remove a module at runtime
+   */
+  unregisterModule(name: string): Promise<boolean>;
+
+  /**
+   * Replace a module's definition at runtime and re-initialize it and its dependents
+   */
+  reloadModule(name: string, newDefinition: ModuleDefinition): Promise<ModuleDefinition>;
+
+  /**
+   * Watch a directory of modules and reload them when their files change
+   */
+  watchModules(options?: WatchModulesOptions): ModuleWatcher;
+
+  /**
+   * Discover and register the modules in a directory
+   */
+  discoverModules(options?: DiscoverModulesOptions): Promise<DiscoveryReport>;
+
+  /**
+   * Get a registered module by name
+   */
+  getModule(name: string): ModuleDefinition | undefined;
+
+  /**
+   * Get all registered modules
+   */
+  getAllModules(): Record<string, ModuleDefinition>;
+
+  /**
+   * Build the dependency graph of all registered modules
+   */
+  getDependencyGraph(): DependencyGraph;
+
+  /**
+   * Get the initialization status of one module or of every module
+   */
+  getModuleStatus(): Record<string, ModuleStatus>;
+  getModuleStatus(name: string): ModuleStatus | undefined;
+
+  /**
+   * List the routes registered by modules, optionally of one module or version
+   */
+  getRoutes(filter?: string | RouteFilter): RouteRecord[];
+
+  /**
+   * List the API versions with their routes
+   */
+  getApiVersions(): ApiVersion[];
+
+  /**
+   * List the scheduled jobs of initialized modules
+   */
+  getJobs(): JobInfo[];
+
+  /**
+   * Run a scheduled job ('<module>.<job>') now
+   */
+  runJob(name: string): Promise<JobRunResult>;
+
+  /**
+   * Register a lifecycle hook for a specific event
+   */
+  registerLifecycleHook(
+    event: LifecycleEvent,
+    callback: LifecycleHook,
+    options?: LifecycleHookOptions
+  ): () => void;
+
+  /**
+   * Initialize all registered modules
+   */
+  initializeModules(
+    app: any,
+    config?: Record<string, any>,
+    options?: InitializeOptions
+  ): Promise<ApplicationContext>;
+
+  /**
+   * Gracefully shutdown all modules in reverse dependency order
+   */
+  shutdownModules(context: ApplicationContext, options?: ShutdownModulesOptions): Promise<ShutdownResult>;
+
+  /**
+   * Shut the application down gracefully on SIGTERM and SIGINT
+   */
+  enableGracefulShutdown(server: any, options?: EnableGracefulShutdownOptions): GracefulShutdown;
+
+  /**
+   * Forget all registered modules, hooks and initialization state
+   */
+  reset(): void;
+
+  /**
+   * Shut down initialized modules and reset the instance
+   */
+  dispose(): Promise<void>;
+}
+
+/**
+ * Options for createModuleSystem
+ */
+export interface ModuleSystemOptions {
+  /**
+   * Logger for core messages (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Create an isolated module system instance
+ */
+export function createModuleSystem(options?: ModuleSystemOptions): ModuleSystem;
+
+/**
+ * Get the default module system instance used by the named exports
+ */
+export function getDefaultModuleSystem(): ModuleSystem;
+
 /**
  * Register a module with the system
  */
 export function registerModule(name: string, module: ModuleDefinition): ModuleDefinition;
 
+/**
+ * Shut down and remove a module at runtime
+ */
+export function unregisterModule(name: string): Promise<boolean>;
+
+/**
+ * Replace a module's definition at runtime and re-initialize it and its dependents
+ */
+export function reloadModule(name: string, newDefinition: ModuleDefinition): Promise<ModuleDefinition>;
+
+/**
+ * Watch a directory of modules and reload them when their files change
+ */
+export function watchModules(options?: WatchModulesOptions): ModuleWatcher;
+
+/**
+ * Discover and register the modules in a directory
+ */
+export function discoverModules(options?: DiscoverModulesOptions): Promise<DiscoveryReport>;
+
 /**
  * Get a registered module by name
  */
@@ -117,20 +649,71 @@ export function getModule(name: string): ModuleDefinition | undefined;
  */
 export function getAllModules(): Record<string, ModuleDefinition>;
 
+/**
+ * Build the dependency graph of all registered modules
+ */
+export function getDependencyGraph(): DependencyGraph;
+
+/**
+ * Get the initialization status of one module or of every module
+ */
+export function getModuleStatus(): Record<string, ModuleStatus>;
+export function getModuleStatus(name: string): ModuleStatus | undefined;
+
+/**
+ * List the routes registered by modules, optionally of one module or version
+ */
+export function getRoutes(filter?: string | RouteFilter): RouteRecord[];
+
+/**
+ * List the API versions with their routes
+ */
+export function getApiVersions(): ApiVersion[];
+
+/**
+ * List the scheduled jobs of initialized modules
+ */
+export function getJobs(): JobInfo[];
+
+/**
+ * Run a scheduled job ('<module>.<job>') now
+ */
+export function runJob(name: string): Promise<JobRunResult>;
+
 /**
  * Register a lifecycle hook for a specific event
  */
 export function registerLifecycleHook(
   event: LifecycleEvent,
-  callback: (context: ApplicationContext) => void | Promise<void>
-): void;
+  callback: LifecycleHook,
+  options?: LifecycleHookOptions
+): () => void;
 
 /**
  * Initialize all registered modules
  */
-export function initializeModules(app: any, config?: Record<string, any>): Promise<ApplicationContext>;
+export function initializeModules(
+  app: any,
+  config?: Record<string, any>,
+  options?: InitializeOptions
+): Promise<ApplicationContext>;
+
+/**
+ * Gracefully shutdown all modules in reverse dependency order
+ */
+export function shutdownModules(context: ApplicationContext, options?: ShutdownModulesOptions): Promise<ShutdownResult>;
+
+/**
+ * Shut the application down gracefully on SIGTERM and SIGINT
+ */
+export function enableGracefulShutdown(server: any, options?: EnableGracefulShutdownOptions): GracefulShutdown;
+
+/**
+ * Reset the default module system (for tests)
+ */
+export function resetModules(): void;
 
 /**
- * Gracefully shutdown all modules
+ * Shut down and reset the default module system (for tests)
  */
-export function shutdownModules(context: ApplicationContext): Promise<void>;
+export function disposeModules(): Promise<void>;
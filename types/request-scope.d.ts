@@ -0,0 +1,101 @@
+/**
+ * Type definitions for the request scope
+ */
+
+import { Logger } from './logger';
+
+/**
+ * Context of the request being handled
+ */
+export interface RequestContext {
+  /**
+   * Request id, from the X-Request-Id header or generated
+   */
+  id: string;
+
+  /**
+   * When the request started (ms since epoch)
+   */
+  startedAt: number;
+
+  /**
+   * Framework request and response objects
+   */
+  req?: any;
+  res?: any;
+
+  [key: string]: any;
+
+  /**
+   * Get a value stored on the request
+   */
+  get<T = any>(key: string, defaultValue?: T): T;
+
+  /**
+   * Store a value on the request
+   */
+  set(key: string, value: any): void;
+
+  /**
+   * Get a request-scoped service, creating it on first use
+   */
+  getService<T = any>(moduleName: string, serviceName: string): T;
+
+  /**
+   * Dispose the request-scoped services created during the request
+   */
+  dispose(): Promise<void>;
+}
+
+/**
+ * Creates a request-scoped service instance
+ */
+export type RequestServiceFactory<T = any> = (request: RequestContext, context: any) => T;
+
+/**
+ * A request-scoped service declared by a module
+ */
+export type RequestServiceDefinition<T = any> =
+  | RequestServiceFactory<T>
+  | {
+      create: RequestServiceFactory<T>;
+      dispose?: (instance: Awaited<T>) => void | Promise<void>;
+    };
+
+/**
+ * Registry of request-scoped service factories
+ */
+export interface RequestScope {
+  register(owner: string, services: Record<string, RequestServiceDefinition>, context: any): void;
+  unregister(owner: string): void;
+
+  /**
+   * Run a function inside a new request scope
+   */
+  run<T>(fn: () => T | Promise<T>, init?: Partial<RequestContext>): Promise<T>;
+
+  /**
+   * Run every request to an app inside a request scope
+   */
+  install(app: any): void;
+}
+
+/**
+ * Get the context of the request being handled, or undefined outside a request
+ */
+export function getRequestContext(): RequestContext | undefined;
+
+/**
+ * Options for createRequestScope
+ */
+export interface RequestScopeOptions {
+  /**
+   * Logger for disposal errors (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Create a registry of request-scoped service factories
+ */
+export function createRequestScope(options?: RequestScopeOptions): RequestScope;
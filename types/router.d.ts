@@ -0,0 +1,220 @@
+/**
+ * Type definitions for scoped module routers and the route registry
+ */
+
+import { Logger } from './logger';
+import { ApiVersionInfo, VersioningOptions } from './versioning';
+import { RequestSchema } from './validation';
+
+/**
+ * How conflicting module routes are handled
+ */
+export type RouteConflictMode = 'error' | 'warn';
+
+/**
+ * Supported route conflict modes
+ */
+export const ROUTE_CONFLICT_MODES: RouteConflictMode[];
+
+/**
+ * Express-style route handler or middleware
+ */
+export type RouteHandler = (req: any, res: any, next: (error?: any) => void) => any;
+
+/**
+ * A route registered by a module
+ */
+export interface RouteRecord {
+  /**
+   * Upper-case HTTP method, 'ALL', or 'USE' for middleware mounted on a path
+   */
+  method: string;
+
+  /**
+   * Full path including the module's prefix
+   */
+  path: string;
+
+  /**
+   * Name of the module that registered the route
+   */
+  module: string;
+
+  /**
+   * API version of the route
+   */
+  version?: string;
+
+  /**
+   * Whether the route's version is deprecated
+   */
+  deprecated?: boolean;
+
+  /**
+   * Sunset date of the route's version
+   */
+  sunset?: string | Date;
+
+  /**
+   * Whether the route picks the version from the request headers
+   */
+  negotiated?: boolean;
+
+  /**
+   * JSON Schemas the route validates requests against
+   */
+  schema?: RequestSchema;
+}
+
+/**
+ * Options of a route, passed before its handlers
+ */
+export interface RouteOptions {
+  /**
+   * JSON Schemas for the request's params, body, query and headers
+   */
+  schema?: RequestSchema;
+}
+
+/**
+ * Router scoped to a module's prefix
+ */
+export interface ModuleRouter {
+  /**
+   * Full path prefix of the module's routes ('' for none)
+   */
+  readonly prefix: string;
+
+  /**
+   * API version of the routes, or null
+   */
+  readonly apiVersion: string | null;
+
+  /**
+   * The global application
+   */
+  readonly app: any;
+
+  /**
+   * Add middleware for the module's routes registered afterwards, or mount
+   * middleware on a sub-path
+   */
+  use(...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  use(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+
+  all(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  all(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  get(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  get(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  post(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  post(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  put(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  put(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  delete(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  delete(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  patch(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  patch(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  options(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  options(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  head(path: string, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+  head(path: string, options: RouteOptions, ...handlers: Array<RouteHandler | RouteHandler[]>): ModuleRouter;
+
+  /**
+   * Get a router for one API version of the module's routes
+   */
+  version(version: string, register?: (router: ModuleRouter) => void): ModuleRouter;
+  version(version: string, info: ApiVersionInfo, register?: (router: ModuleRouter) => void): ModuleRouter;
+}
+
+/**
+ * Filter for listing routes
+ */
+export interface RouteFilter {
+  module?: string;
+  version?: string;
+}
+
+/**
+ * Registry of module routes
+ */
+export interface RouteRegistry {
+  /**
+   * Record a route; throws with code 'ROUTE_CONFLICT' if it conflicts and conflicts are errors
+   */
+  add(route: RouteRecord): void;
+
+  /**
+   * Forget the routes of a module
+   */
+  removeModule(name: string): void;
+
+  /**
+   * List the registered routes, optionally of one module or version
+   */
+  list(filter?: string | RouteFilter): RouteRecord[];
+}
+
+/**
+ * Options for createRouteRegistry
+ */
+export interface RouteRegistryOptions {
+  /**
+   * How conflicting routes are handled (default: 'error')
+   */
+  conflicts?: RouteConflictMode;
+
+  /**
+   * Logger for conflict warnings (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Options for createModuleRouter
+ */
+export interface ModuleRouterOptions {
+  /**
+   * Module name
+   */
+  module: string;
+
+  /**
+   * Path prefix of every route ('' for none), optionally containing `{version}`
+   */
+  prefix?: string;
+
+  /**
+   * Middleware run before every route of the module
+   */
+  middleware?: RouteHandler[];
+
+  /**
+   * Registry the routes are recorded in
+   */
+  registry?: RouteRegistry;
+
+  /**
+   * Metadata of the module's API versions
+   */
+  versions?: Record<string, ApiVersionInfo>;
+
+  /**
+   * API versioning options
+   */
+  versioning?: VersioningOptions;
+}
+
+/**
+ * Create a registry of the routes registered by modules
+ */
+export function createRouteRegistry(options?: RouteRegistryOptions): RouteRegistry;
+
+/**
+ * Create a router scoped to a module
+ */
+export function createModuleRouter(app: any, options: ModuleRouterOptions): ModuleRouter;
+
+/**
+ * Check that a route conflict mode is supported
+ */
+export function assertRouteConflictMode(mode: string): asserts mode is RouteConflictMode;
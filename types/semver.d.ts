@@ -0,0 +1,33 @@
+/**
+ * Type definitions for semantic versioning helpers
+ */
+
+/**
+ * A parsed semantic version
+ */
+export interface SemanticVersion {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string[];
+}
+
+/**
+ * Parse a semantic version string
+ */
+export function parseVersion(version: string): SemanticVersion | null;
+
+/**
+ * Compare two semantic versions
+ */
+export function compareVersions(a: string | SemanticVersion, b: string | SemanticVersion): number;
+
+/**
+ * Check whether a version satisfies a range (e.g. '^2.0.0', '>=1.2 <3', '1.x || 2.x')
+ */
+export function satisfies(version: string, range: string): boolean;
+
+/**
+ * Check whether a range expression is valid
+ */
+export function isValidRange(range: string): boolean;
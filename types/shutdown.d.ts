@@ -0,0 +1,87 @@
+/**
+ * Type definitions for graceful process shutdown
+ */
+
+import { Logger } from './logger';
+
+/**
+ * Result reported by a shutdown function
+ */
+export interface ShutdownResult {
+  /**
+   * Errors raised while shutting down, each with the failing module as `module`
+   */
+  failures: Array<Error & { module?: string }>;
+}
+
+/**
+ * Options shared by createGracefulShutdown and enableGracefulShutdown
+ */
+export interface SignalShutdownOptions {
+  /**
+   * Signals to handle (default: ['SIGTERM', 'SIGINT'])
+   */
+  signals?: NodeJS.Signals[];
+
+  /**
+   * Milliseconds to keep serving after the signal, so load balancers can
+   * stop routing traffic (default: 0)
+   */
+  delay?: number;
+
+  /**
+   * Milliseconds to wait for in-flight requests before closing connections
+   * (default: 10000)
+   */
+  drainTimeout?: number;
+
+  /**
+   * Called with the exit code (default: process.exit), or false to not exit
+   */
+  exit?: ((code: number) => void) | false;
+
+  /**
+   * Logger (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Options for createGracefulShutdown
+ */
+export interface GracefulShutdownOptions extends SignalShutdownOptions {
+  /**
+   * Node HTTP server, or a Fastify app created by createApp()
+   */
+  server?: any;
+
+  /**
+   * Shuts the application down once requests have drained
+   */
+  shutdown?: (reason: string) => void | ShutdownResult | Promise<void | ShutdownResult>;
+
+  /**
+   * Called with the signal before draining starts
+   */
+  onSignal?: (reason: string) => void | Promise<void>;
+}
+
+/**
+ * Installed graceful shutdown handlers
+ */
+export interface GracefulShutdown {
+  /**
+   * Run the shutdown sequence (once) and exit; resolves to the exit code
+   */
+  shutdown(reason?: string): Promise<number>;
+
+  /**
+   * Remove the signal handlers and request tracking
+   */
+  remove(): void;
+}
+
+/**
+ * Install signal handlers that shut the process down gracefully
+ */
+export function createGracefulShutdown(options?: GracefulShutdownOptions): GracefulShutdown;
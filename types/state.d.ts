@@ -0,0 +1,110 @@
+/**
+ * Type definitions for the application state store
+ */
+
+import { Logger } from './logger';
+
+/**
+ * Called when the value at a subscribed key changes
+ */
+export type StateSubscriber<T = any> = (
+  value: T,
+  previousValue: T,
+  change: { key: string; changedKey: string }
+) => void;
+
+/**
+ * A view of the state, either the whole store or a namespace
+ */
+export interface StateView {
+  /**
+   * Get the (frozen) value at a dot-notation key
+   */
+  get<T = any>(key?: string, defaultValue?: T): T;
+
+  /**
+   * Set the value at a dot-notation key; plain data is copied and frozen,
+   * other objects are stored by reference. Throws if the key goes through a
+   * value stored by reference.
+   */
+  set(key: string, value: any): void;
+
+  /**
+   * Remove the value at a dot-notation key
+   */
+  remove(key: string): void;
+
+  /**
+   * Subscribe to changes at a key (or every change); returns an unsubscribe function
+   */
+  subscribe(key: string, callback: StateSubscriber): () => void;
+  subscribe(callback: StateSubscriber): () => void;
+
+  /**
+   * Get an immutable snapshot
+   */
+  snapshot(): Readonly<Record<string, any>>;
+}
+
+/**
+ * Application state store
+ */
+export interface StateStore extends StateView {
+  /**
+   * Get a view whose keys are relative to a prefix
+   */
+  namespace(prefix: string): StateView;
+
+  /**
+   * Load persisted state
+   */
+  hydrate(): Promise<void>;
+
+  /**
+   * Save pending changes immediately
+   */
+  flush(): Promise<void>;
+}
+
+/**
+ * Persists state between restarts
+ */
+export interface StatePersistenceAdapter {
+  load(): any | Promise<any>;
+  save(state: Readonly<Record<string, any>>): void | Promise<void>;
+}
+
+/**
+ * Options for createStateStore
+ */
+export interface StateStoreOptions {
+  /**
+   * Initial state
+   */
+  initial?: Record<string, any>;
+
+  /**
+   * Persistence adapter, e.g. createJsonFileStateAdapter()
+   */
+  persistence?: StatePersistenceAdapter;
+
+  /**
+   * Milliseconds to batch changes before saving (default: 100)
+   */
+  persistDelay?: number;
+
+  /**
+   * Logger for subscriber and persistence errors (default: the default logger)
+   */
+  logger?: Logger;
+}
+
+/**
+ * Create a state store
+ */
+export function createStateStore(options?: StateStoreOptions): StateStore;
+
+/**
+ * Create a persistence adapter that stores state in a JSON file
+ */
+export function createJsonFileStateAdapter(file: string): StatePersistenceAdapter;
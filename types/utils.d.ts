@@ -13,7 +13,12 @@ export function get<T>(obj: any, path: string, defaultValue?: T): T;
 export function set<T extends object>(obj: T, path: string, value: any): T;
 
 /**
- * Deep merge multiple objects
+ * Check whether a value is a plain object (not an array, date or class instance)
+ */
+export function isPlainObject(value: any): value is Record<string, any>;
+
+/**
+ * Deep merge multiple objects, replacing rather than merging non-plain values
  */
 export function merge<T>(...objects: any[]): T;
 
@@ -31,3 +36,13 @@ export function parseJSON<T>(str: string, fallback?: T): T;
  * Format a date using a simple template
  */
 export function formatDate(date: Date | string | number, format?: string): string;
+
+/**
+ * Reject if a promise does not settle within a time limit
+ */
+export function withTimeout<T>(promise: Promise<T> | T, ms?: number, message?: string): Promise<T>;
+
+/**
+ * Wait for a number of milliseconds
+ */
+export function delay(ms: number): Promise<void>;
@@ -0,0 +1,77 @@
+/**
+ * Type definitions for JSON Schema request validation
+ */
+
+import { RouteHandler } from './router';
+
+/**
+ * Parts of a request that can have a schema
+ */
+export type RequestSchemaLocation = 'params' | 'body' | 'query' | 'headers';
+
+/**
+ * JSON Schemas keyed by request part
+ */
+export type RequestSchema = Partial<Record<RequestSchemaLocation, Record<string, any>>>;
+
+/**
+ * One violation in a 400 validation response
+ */
+export interface ValidationErrorEntry {
+  location: RequestSchemaLocation;
+
+  /**
+   * JSON Pointer to the invalid value, e.g. '/password'
+   */
+  path: string;
+
+  message: string;
+
+  /**
+   * JSON Schema keyword that failed, e.g. 'required'
+   */
+  keyword: string;
+}
+
+/**
+ * Marks validation middleware with the schema it checks
+ */
+export const REQUEST_SCHEMA: unique symbol;
+
+/**
+ * Request parts that can have a schema, in the order they are validated
+ */
+export const REQUEST_SCHEMA_LOCATIONS: RequestSchemaLocation[];
+
+/**
+ * Ajv options used for params, body and query
+ */
+export const VALIDATION_OPTIONS: Record<string, any>;
+
+/**
+ * Ajv options used for headers, which never removes headers
+ */
+export const HEADER_VALIDATION_OPTIONS: Record<string, any>;
+
+/**
+ * Compile the schema for one part of a request, reusing schemas with an $id
+ */
+export function compileRequestSchema(
+  location: RequestSchemaLocation | 'querystring',
+  schema: Record<string, any>
+): ((data: any) => boolean) & { errors?: any[] | null };
+
+/**
+ * Create middleware that validates requests against a schema
+ */
+export function validateRequest(schema: RequestSchema): RouteHandler & { [REQUEST_SCHEMA]: RequestSchema };
+
+/**
+ * Turn validator errors into the entries of a 400 response
+ */
+export function formatValidationErrors(location: RequestSchemaLocation | 'querystring', errors?: any[]): ValidationErrorEntry[];
+
+/**
+ * Respond 400 to an invalid request
+ */
+export function sendValidationError(res: any, errors: ValidationErrorEntry[]): void;
@@ -0,0 +1,112 @@
+/**
+ * Type definitions for API versioning
+ */
+
+import { RouteHandler } from './router';
+
+/**
+ * Metadata of an API version
+ */
+export interface ApiVersionInfo {
+  /**
+   * true, or the date the version was deprecated
+   */
+  deprecated?: boolean | string | Date;
+
+  /**
+   * Date after which the version may stop working
+   */
+  sunset?: string | Date;
+
+  /**
+   * URL documenting the deprecation or migration
+   */
+  link?: string;
+}
+
+/**
+ * API versioning options
+ */
+export interface VersioningOptions {
+  /**
+   * Request header naming the version (default: 'accept-version'), or false
+   */
+  header?: string | false;
+
+  /**
+   * Read the version from the Accept media type, e.g. application/vnd.api.v2+json (default: true)
+   */
+  mediaType?: boolean;
+
+  /**
+   * Version used when a request names none (default: the latest non-deprecated version)
+   */
+  defaultVersion?: string;
+
+  /**
+   * Metadata keyed by version
+   */
+  versions?: Record<string, ApiVersionInfo>;
+}
+
+/**
+ * Versioning options with defaults applied
+ */
+export interface ResolvedVersioningOptions extends VersioningOptions {
+  header: string | false;
+  mediaType: boolean;
+  versions: Record<string, ApiVersionInfo>;
+}
+
+/**
+ * An API version with the routes registered for it
+ */
+export interface ApiVersion {
+  version: string;
+  deprecated: boolean;
+  sunset: string | Date | null;
+  routes: Array<{ method: string; path: string; module: string }>;
+}
+
+/**
+ * Placeholder for the version segment of a route prefix
+ */
+export const VERSION_PLACEHOLDER: '{version}';
+
+/**
+ * Resolve the versioning options of an application
+ */
+export function resolveVersioningOptions(options?: VersioningOptions): ResolvedVersioningOptions;
+
+/**
+ * Apply a version to a prefix template; a null version drops the `{version}` segment
+ */
+export function resolveVersionedPrefix(template: string, version: string | null): string;
+
+/**
+ * Get the API version a request asks for, or null if it names none
+ */
+export function getRequestedVersion(req: any, options: ResolvedVersioningOptions): string | null;
+
+/**
+ * Find the registered version matching a requested version ('2' matches 'v2')
+ */
+export function matchApiVersion(versions: string[], requested: string): string | undefined;
+
+/**
+ * Sort versions from oldest to newest
+ */
+export function sortApiVersions(versions: string[]): string[];
+
+/**
+ * Create middleware that sets Deprecation, Sunset and Link headers, or null if the version isn't deprecated
+ */
+export function createDeprecationMiddleware(info?: ApiVersionInfo): RouteHandler | null;
+
+/**
+ * Create a handler that picks a version of a route from the request headers
+ */
+export function createVersionDispatcher(
+  routes: Map<string, { handler: RouteHandler; info: ApiVersionInfo }>,
+  options: ResolvedVersioningOptions
+): RouteHandler;